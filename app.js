@@ -3,28 +3,181 @@
  */
 
 // Элементы DOM
+const salaryGroup = document.getElementById('salaryGroup');
 const salaryInput = document.getElementById('salaryInput');
 const vacationInput = document.getElementById('vacationInput');
 const vacationFile = document.getElementById('vacationFile');
+const vacationDiagnostics = document.getElementById('vacationDiagnostics');
+const vacationCalendarContainer = document.getElementById('vacationCalendar');
+const plannerDaysInput = document.getElementById('plannerDaysInput');
+const plannerStartInput = document.getElementById('plannerStartInput');
+const plannerEndInput = document.getElementById('plannerEndInput');
+const plannerBtn = document.getElementById('plannerBtn');
+const plannerResults = document.getElementById('plannerResults');
+const hireDateInput = document.getElementById('hireDateInput');
+const leaveBalanceInput = document.getElementById('leaveBalanceInput');
+const extraLeaveInput = document.getElementById('extraLeaveInput');
 const fileName = document.getElementById('fileName');
 const calculateBtn = document.getElementById('calculateBtn');
 const resetBtn = document.getElementById('resetBtn');
 const formSection = document.getElementById('formSection');
 const resultsSection = document.getElementById('resultsSection');
+const teamResultsSection = document.getElementById('teamResultsSection');
 const errorSection = document.getElementById('errorSection');
 const errorMessage = document.getElementById('errorMessage');
 const loadingIndicator = document.getElementById('loadingIndicator');
 const vacationGroup = document.getElementById('vacationGroup');
+const salaryHistoryGroup = document.getElementById('salaryHistoryGroup');
+const salaryHistoryInput = document.getElementById('salaryHistoryInput');
+const bonusGroup = document.getElementById('bonusGroup');
+const bonusInput = document.getElementById('bonusInput');
+const calendarGroup = document.getElementById('calendarGroup');
+const calendarSource = document.getElementById('calendarSource');
+const calendarRegionSelect = document.getElementById('calendarRegionSelect');
+const calendarFile = document.getElementById('calendarFile');
+const calendarFileUpload = document.getElementById('calendarFileUpload');
+const calendarFileName = document.getElementById('calendarFileName');
+const workTimeGroup = document.getElementById('workTimeGroup');
+const weeklyHoursSelect = document.getElementById('weeklyHoursSelect');
+const prorateByHoursCheckbox = document.getElementById('prorateByHoursCheckbox');
+const workLogInput = document.getElementById('workLogInput');
+const workLogFields = document.getElementById('workLogFields');
+const workPatternFields = document.getElementById('workPatternFields');
+const workPatternSelect = document.getElementById('workPatternSelect');
+const workWeekdays = document.getElementById('workWeekdays');
+const rotaParams = document.getElementById('rotaParams');
+const rotaInput = document.getElementById('rotaInput');
+const rotaStartInput = document.getElementById('rotaStartInput');
+const shiftHoursLabel = document.getElementById('shiftHoursLabel');
+const shiftHoursInput = document.getElementById('shiftHoursInput');
+const partTimeInput = document.getElementById('partTimeInput');
+const summarizedHoursCheckbox = document.getElementById('summarizedHoursCheckbox');
+const accountingPeriodLabel = document.getElementById('accountingPeriodLabel');
+const accountingPeriodSelect = document.getElementById('accountingPeriodSelect');
+const sickLeavePercentSelect = document.getElementById('sickLeavePercentSelect');
+const scheduleGroup = document.getElementById('scheduleGroup');
+const scheduleSelect = document.getElementById('scheduleSelect');
+const scheduleEditor = document.getElementById('scheduleEditor');
+const scheduleHint = document.getElementById('scheduleHint');
+const advanceMethodSelect = document.getElementById('advanceMethodSelect');
+const advanceValueInput = document.getElementById('advanceValueInput');
+const dateGroup = document.getElementById('dateGroup');
+const asOfInput = document.getElementById('asOfInput');
+const viewModeSelect = document.getElementById('viewModeSelect');
+const paymentsCountLabel = document.getElementById('paymentsCountLabel');
+const paymentsCountInput = document.getElementById('paymentsCountInput');
+const dateRangeInputs = document.getElementById('dateRangeInputs');
+const rangeStartInput = document.getElementById('rangeStartInput');
+const rangeEndInput = document.getElementById('rangeEndInput');
+const reconcileGroup = document.getElementById('reconcileGroup');
+const comparisonGroup = document.getElementById('comparisonGroup');
+const budgetGroup = document.getElementById('budgetGroup');
+const expensesInput = document.getElementById('expensesInput');
+const startingBalanceInput = document.getElementById('startingBalanceInput');
+const statementInput = document.getElementById('statementInput');
+const statementFile = document.getElementById('statementFile');
+const statementFileName = document.getElementById('statementFileName');
+const toleranceInput = document.getElementById('toleranceInput');
+const windowDaysInput = document.getElementById('windowDaysInput');
+const teamGroup = document.getElementById('teamGroup');
+const teamInput = document.getElementById('teamInput');
+const teamFile = document.getElementById('teamFile');
+const teamFileName = document.getElementById('teamFileName');
+const profileSelect = document.getElementById('profileSelect');
+const profileNameInput = document.getElementById('profileNameInput');
+const profilesFile = document.getElementById('profilesFile');
+const profileStatus = document.getElementById('profileStatus');
+const exportIcsBtn = document.getElementById('exportIcsBtn');
+const icsVacationPayCheckbox = document.getElementById('icsVacationPayCheckbox');
+const icsSickPayCheckbox = document.getElementById('icsSickPayCheckbox');
+const icsAbsencesCheckbox = document.getElementById('icsAbsencesCheckbox');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+const printPayslipsBtn = document.getElementById('printPayslipsBtn');
+
+// Названия месяцев в родительном падеже
+const MONTHS_RU = {
+    1: 'января', 2: 'февраля', 3: 'марта', 4: 'апреля',
+    5: 'мая', 6: 'июня', 7: 'июля', 8: 'августа',
+    9: 'сентября', 10: 'октября', 11: 'ноября', 12: 'декабря'
+};
+
+// Подписи видов выплат зарплаты
+const PAYMENT_KIND_NAMES = {
+    advance: 'Аванс',
+    final: 'Окончательный расчет за месяц'
+};
+
+// Подписи статусов сверки с выпиской
+const RECONCILIATION_STATUS_NAMES = {
+    matched: '✅ Совпадает',
+    difference: '⚠️ Расхождение',
+    missing: '❌ Не поступила',
+    extra: '➕ Лишнее поступление'
+};
+
+// Названия типов отсутствий
+const ABSENCE_TYPE_NAMES = {
+    vacation: 'отпуск',
+    sick: 'больничный',
+    unpaid: 'за свой счет'
+};
 
 // Состояние приложения
 let currentSalary = null;
+let currentSalaryHistory = [];
+let currentBonuses = [];
+let currentWorkLog = [];
+let currentWorkPattern = null;
+let currentExpenses = [];
+let currentStartingBalance = 0;
+let currentLeaveSettings = null;
+let currentSalaryMode = 'net';
 let currentVacations = [];
+let currentCalendarDataset = null;
+let currentSchedule = DEFAULT_PAY_SCHEDULE;
+let currentPayments = [];
+let currentAppMode = 'single';
+let vacationCalendar = null;
+let calendarPaymentsTimer = null;
+let calendarPaymentsRequest = 0;
+let vacationSummaryRequest = 0;
 
 // Инициализация
 document.addEventListener('DOMContentLoaded', () => {
+    fillScheduleSelect();
+    fillCalendarRegionSelect();
+    asOfInput.value = dateToKey(new Date());
+    vacationCalendar = createVacationCalendar(vacationCalendarContainer, {
+        onChange: handleCalendarVacationsChange,
+        onMonthChange: scheduleCalendarPaymentsUpdate
+    });
+    resetPlannerWindow();
     setupEventListeners();
+    refreshProfileSelect();
+    restoreStateFromHash();
 });
 
+/**
+ * Заполнение списка графиков выплат
+ */
+function fillScheduleSelect() {
+    for (const [id, preset] of Object.entries(PAY_SCHEDULE_PRESETS)) {
+        scheduleSelect.add(new Option(preset.name, id));
+    }
+    scheduleSelect.add(new Option('Свой график (редактировать)', 'custom'));
+}
+
+/**
+ * Заполнение списка стран и регионов календаря
+ */
+function fillCalendarRegionSelect() {
+    for (const [id, region] of Object.entries(CALENDAR_REGIONS)) {
+        calendarRegionSelect.add(new Option(region.name, id));
+    }
+    calendarRegionSelect.value = DEFAULT_CALENDAR_REGION;
+}
+
 /**
  * Настройка обработчиков событий
  */
@@ -34,45 +187,490 @@ function setupEventListeners() {
     vacationFile.addEventListener('change', handleFileSelect);
     calculateBtn.addEventListener('click', handleCalculate);
     resetBtn.addEventListener('click', handleReset);
+    calendarSource.addEventListener('change', handleCalendarSourceChange);
+    calendarRegionSelect.addEventListener('change', handleCalendarSourceChange);
+    calendarFile.addEventListener('change', handleCalendarFileSelect);
+    scheduleSelect.addEventListener('change', handleScheduleSelect);
+    advanceMethodSelect.addEventListener('change', handleAdvanceMethodChange);
+    viewModeSelect.addEventListener('change', handleViewModeChange);
+    workPatternSelect.addEventListener('change', handleWorkPatternChange);
+    summarizedHoursCheckbox.addEventListener('change', handleWorkPatternChange);
+    statementFile.addEventListener('change', handleStatementFileSelect);
+    exportIcsBtn.addEventListener('click', handleExportIcs);
+    exportCsvBtn.addEventListener('click', handleExportCsv);
+    exportXlsxBtn.addEventListener('click', handleExportXlsx);
+    printPayslipsBtn.addEventListener('click', () => openPayslips(currentPayments));
+    document.querySelectorAll('input[name="salaryMode"]').forEach(radio => {
+        radio.addEventListener('change', handleSalaryModeChange);
+    });
+    document.querySelectorAll('input[name="appMode"]').forEach(radio => {
+        radio.addEventListener('change', handleAppModeChange);
+    });
+    teamInput.addEventListener('input', handleTeamInput);
+    teamFile.addEventListener('change', handleTeamFileSelect);
+    plannerBtn.addEventListener('click', handlePlanVacation);
+    document.getElementById('compareBtn').addEventListener('click', handleCompareScenarios);
+    profileSelect.addEventListener('change', handleProfileSelect);
+    document.getElementById('saveProfileBtn').addEventListener('click', handleSaveProfile);
+    document.getElementById('renameProfileBtn').addEventListener('click', handleRenameProfile);
+    document.getElementById('deleteProfileBtn').addEventListener('click', handleDeleteProfile);
+    document.getElementById('exportProfilesBtn').addEventListener('click', handleExportProfiles);
+    document.getElementById('importProfilesBtn').addEventListener('click', () => profilesFile.click());
+    profilesFile.addEventListener('change', handleImportProfiles);
+    document.getElementById('copyLinkBtn').addEventListener('click', handleCopyLink);
+    window.addEventListener('hashchange', restoreStateFromHash);
     
     // Обработка загрузки файла по клику на label
     document.querySelector('.file-label').addEventListener('click', (e) => {
         e.preventDefault();
         vacationFile.click();
     });
+    document.getElementById('calendarFileLabel').addEventListener('click', (e) => {
+        e.preventDefault();
+        calendarFile.click();
+    });
+    document.getElementById('statementFileLabel').addEventListener('click', (e) => {
+        e.preventDefault();
+        statementFile.click();
+    });
+    document.getElementById('teamFileLabel').addEventListener('click', (e) => {
+        e.preventDefault();
+        teamFile.click();
+    });
 }
 
 /**
  * Обработка ввода зарплаты
  */
 function handleSalaryInput() {
+    // Режим можно указать прямо в тексте: "150к gross", "100к на руки"
+    const mode = detectSalaryMode(salaryInput.value);
+    if (mode) {
+        setSalaryMode(mode);
+    }
+    
     const salary = parseSalaryAmount(salaryInput.value);
     
     if (salary && salary > 0) {
         currentSalary = salary;
+        salaryHistoryGroup.style.display = 'block';
+        bonusGroup.style.display = 'block';
         vacationGroup.style.display = 'block';
+        calendarGroup.style.display = 'block';
+        workTimeGroup.style.display = 'block';
+        scheduleGroup.style.display = 'block';
+        dateGroup.style.display = 'block';
+        reconcileGroup.style.display = 'block';
+        budgetGroup.style.display = 'block';
+        comparisonGroup.style.display = 'block';
         calculateBtn.disabled = false;
         hideError();
+        scheduleCalendarPaymentsUpdate();
     } else {
         currentSalary = null;
         calculateBtn.disabled = true;
     }
 }
 
+/**
+ * Разбор изменений оклада: строки "10.03.2025 120к"
+ * Возвращает [{ amount, effective_date }] по возрастанию даты
+ */
+function parseSalaryHistoryText(text) {
+    const history = [];
+    
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        
+        const match = line.match(/^(\S+)\s+(.+)$/);
+        if (!match) {
+            throw new Error(`ожидаются дата и оклад: ${line}`);
+        }
+        
+        const effectiveDate = parseDate(match[1]);
+        const amount = parseSalaryAmount(match[2]);
+        if (!amount) {
+            throw new Error(`неверный оклад: ${match[2]}`);
+        }
+        
+        history.push({ amount, effective_date: effectiveDate });
+    }
+    
+    return history.sort((a, b) => a.effective_date - b.effective_date);
+}
+
+/**
+ * Разбор премий: "квартальная 30% выплата 14 через 1 мес Название"
+ * Разовая выплата указывается с датой: "разовая 15.03.2026 50к Подарок"
+ */
+function parseBonusText(text) {
+    const bonuses = [];
+    const linePattern = /^(\S+)\s+(?:(\d{1,2}\.\d{1,2}\.\d{4})\s+)?(\d[\d\s]*(?:[.,]\d+)?\s*(?:%|кк|к|k|млн|тыс\.?)?(?=\s|$))(?:\s+выплата\s+(\d{1,2}|последн\S*)(?:\s+через\s+(\d+)\s*мес\S*)?)?\s*(.*)$/i;
+    
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        
+        const match = line.match(linePattern);
+        const frequency = match && findBonusFrequency(match[1]);
+        if (!frequency) {
+            throw new Error(`не удалось разобрать строку: ${line}`);
+        }
+        
+        const amountText = match[3].trim();
+        const amount = amountText.endsWith('%')
+            ? { type: 'percent', value: parseFloat(amountText.replace(',', '.')) }
+            : { type: 'fixed', value: parseSalaryAmount(amountText) };
+        
+        let payout;
+        if (match[4]) {
+            payout = {
+                day: /^\d+$/.test(match[4]) ? parseInt(match[4], 10) : 'last',
+                monthsAfter: match[5] !== undefined ? parseInt(match[5], 10) : DEFAULT_BONUS_PAYOUT.monthsAfter
+            };
+        }
+        
+        try {
+            bonuses.push(validateBonus({
+                title: match[6].trim(),
+                frequency,
+                amount,
+                payout,
+                date: match[2] ? parseDate(match[2]) : null
+            }));
+        } catch (e) {
+            throw new Error(`${e.message} (${line})`);
+        }
+    }
+    
+    return bonuses;
+}
+
+/**
+ * Разбор журнала переработок: "12.11.2026 3ч", "04.11.2026 8ч отгул"
+ * Вид работы (сверхурочная или в выходной) определяется по календарю при расчете
+ */
+function parseWorkLogText(text) {
+    const entries = [];
+    const MAX_HOURS_PER_DAY = 24;
+    
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        
+        const match = line.match(/^(\S+)\s+(\d+(?:[.,]\d+)?)\s*(?:ч\S*)?(?:\s+(.*))?$/i);
+        if (!match) {
+            throw new Error(`ожидаются дата и часы: ${line}`);
+        }
+        
+        const hours = parseFloat(match[2].replace(',', '.'));
+        if (!(hours > 0 && hours <= MAX_HOURS_PER_DAY)) {
+            throw new Error(`часы должны быть от 0 до ${MAX_HOURS_PER_DAY}: ${line}`);
+        }
+        
+        entries.push({
+            date: parseDate(match[1]),
+            hours,
+            timeOff: /отгул|time off/i.test(match[3] || '')
+        });
+    }
+    
+    return entries.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Разбор регулярных расходов: "5 35к Аренда", "последний 7к Кредитная карта"
+ */
+function parseExpenseText(text) {
+    const expenses = [];
+    const linePattern = /^(\d{1,2}|последн\S*)\s+(\d[\d\s]*(?:[.,]\d+)?\s*(?:кк|к|k|млн|тыс\.?)?)(?=\s|$)\s*(.*)$/i;
+    
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        
+        const match = line.match(linePattern);
+        if (!match) {
+            throw new Error(`ожидаются день месяца, сумма и категория: ${line}`);
+        }
+        
+        try {
+            expenses.push(validateExpense({
+                day: /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 'last',
+                amount: parseSalaryAmount(match[2]),
+                category: match[3]
+            }));
+        } catch (e) {
+            throw new Error(`${e.message} (${line})`);
+        }
+    }
+    
+    return expenses;
+}
+
+/**
+ * Остаток на дату расчета; может быть отрицательным (овердрафт). Пустое поле - ноль
+ */
+function parseStartingBalance(text) {
+    const trimmed = text.trim();
+    if (!trimmed || /^[-−+]?\s*0+(?:[.,]0+)?$/.test(trimmed)) return 0;
+    
+    const sign = /^[-−]/.test(trimmed) ? -1 : 1;
+    const amount = parseSalaryAmount(trimmed.replace(/^[-−+]\s*/, ''));
+    if (amount === null || isNaN(amount)) {
+        throw new Error(`неверная сумма остатка: ${trimmed}`);
+    }
+    return sign * amount;
+}
+
+/**
+ * Оклад для расчета: число или история оклада, если указаны изменения
+ */
+function getSalaryTimeline() {
+    if (currentSalaryHistory.length === 0) {
+        return currentSalary;
+    }
+    return [{ amount: currentSalary, effective_date: null }, ...currentSalaryHistory];
+}
+
+/**
+ * Оклад для сводки: "100 000 ₽ → 120 000 ₽ с 10.03.2025"
+ */
+function describeSalaryHistory() {
+    const parts = [`${formatNumber(currentSalary)} ₽/месяц`];
+    for (const entry of currentSalaryHistory) {
+        parts.push(`${formatNumber(entry.amount)} ₽ с ${formatDate(entry.effective_date)}`);
+    }
+    return parts.join(' → ');
+}
+
+/**
+ * Обработка переключения режима суммы (на руки / до вычета НДФЛ)
+ */
+function handleSalaryModeChange(event) {
+    currentSalaryMode = event.target.value;
+}
+
+/**
+ * Установить режим суммы и синхронизировать переключатель
+ */
+function setSalaryMode(mode) {
+    currentSalaryMode = mode;
+    document.querySelector(`input[name="salaryMode"][value="${mode}"]`).checked = true;
+}
+
 /**
  * Обработка ввода отпусков
  */
 function handleVacationInput() {
-    if (vacationInput.value.trim()) {
+    // Строки с ошибками подсвечиваются под полем, в расчет идут разобранные
+    const report = analyzeVacationText(vacationInput.value);
+    currentVacations = report.vacations;
+    displayVacationDiagnostics(report);
+    if (report.errors === 0) {
+        hideError();
+    }
+    
+    vacationCalendar.setAbsences(currentVacations);
+    scheduleCalendarPaymentsUpdate();
+}
+
+/**
+ * Диагностика строк отпусков под текстовым полем и итог дней по типам
+ */
+function displayVacationDiagnostics(report) {
+    const problems = report.lines.filter(line => line.status !== 'ok');
+    vacationInput.classList.toggle('has-errors', report.errors > 0);
+    
+    vacationDiagnostics.innerHTML = problems.map(line => `
+        <li class="diag-${line.status}">
+            ${line.status === 'error' ? '❌' : '⚠️'} Строка ${line.number} «${escapeXml(line.text)}»: ${escapeXml(line.reasons.join('; '))}
+        </li>
+    `).join('');
+    
+    updateVacationSummary(report.vacations);
+}
+
+/**
+ * Итог дней отсутствий: для отпуска - календарные дни без праздников, для остальных - все календарные
+ */
+async function updateVacationSummary(absences) {
+    const request = ++vacationSummaryRequest;
+    const summaryElement = document.getElementById('vacationSummary');
+    if (absences.length === 0) {
+        summaryElement.textContent = '';
+        return;
+    }
+    
+    let summary;
+    try {
+        summary = await summarizeAbsenceDays(absences);
+    } catch (e) {
+        summary = null;
+    }
+    if (request !== vacationSummaryRequest) return;
+    if (!summary) {
+        summaryElement.textContent = '';
+        return;
+    }
+    
+    const parts = Object.entries(summary).map(([type, total]) => {
+        const calendarDays = type === ABSENCE_TYPES.VACATION
+            ? `${total.calendarDays} календарных дн.${total.holidays > 0 ? ` (праздники не в счет: ${total.holidays})` : ''}`
+            : `${total.calendarDays + total.holidays} календарных дн.`;
+        return `${ABSENCE_TYPE_NAMES[type]} - ${total.count}: ${calendarDays}, ${total.workingDays} рабочих`;
+    });
+    summaryElement.textContent = `Итого: ${parts.join('; ')}`;
+}
+
+/**
+ * Отпуска изменены в календаре - переносим их в текстовое поле
+ */
+function handleCalendarVacationsChange(absences) {
+    currentVacations = absences;
+    vacationInput.value = absences.map(formatAbsenceLine).join('\n');
+    displayVacationDiagnostics(analyzeVacationText(vacationInput.value));
+    scheduleCalendarPaymentsUpdate();
+}
+
+/**
+ * Окно подбора отпуска по умолчанию - полгода от даты расчета
+ */
+function resetPlannerWindow() {
+    const asOf = getAsOfDate();
+    plannerStartInput.value = dateToKey(asOf);
+    plannerEndInput.value = dateToKey(new Date(asOf.getFullYear(), asOf.getMonth() + 6, asOf.getDate()));
+}
+
+/**
+ * Подбор дат отпуска и влияние каждого варианта на выплаты
+ */
+async function handlePlanVacation() {
+    const days = parseInt(plannerDaysInput.value, 10);
+    if (!plannerStartInput.value || !plannerEndInput.value) {
+        showError('Укажите, в какие даты можно пойти в отпуск');
+        return;
+    }
+    
+    plannerBtn.disabled = true;
+    hideError();
+    
+    try {
+        const options = await findVacationOptions(
+            days,
+            keyToDate(plannerStartInput.value),
+            keyToDate(plannerEndInput.value),
+            currentVacations
+        );
+        plannerResults.innerHTML = '';
+        
+        if (options.length === 0) {
+            plannerResults.innerHTML = '<small class="hint">В выбранном окне нет подходящих дат</small>';
+            return;
+        }
+        
+        const asOf = getAsOfDate();
+        const calculationOptions = getCalculationOptions();
+        for (const option of options) {
+            // Выплаты за тот же период без нового отпуска и с ним
+            const range = getVacationEffectRange(option, asOf);
+            const baseline = await calculateNextSalaries(getSalaryTimeline(), currentSchedule, 0, currentVacations, { ...calculationOptions, range });
+            const planned = await calculateNextSalaries(
+                getSalaryTimeline(),
+                currentSchedule,
+                0,
+                addVacationRange(currentVacations, option.start_date, option.end_date),
+                { ...calculationOptions, range }
+            );
+            plannerResults.appendChild(createVacationOptionItem(option, comparePaymentSchedules(baseline, planned)));
+        }
+    } catch (e) {
+        plannerResults.innerHTML = '';
+        showError('Ошибка подбора отпуска: ' + e.message);
+    } finally {
+        plannerBtn.disabled = false;
+    }
+}
+
+/**
+ * Карточка варианта отпуска с изменениями выплат и кнопкой "Добавить"
+ */
+function createVacationOptionItem(option, changes) {
+    const item = document.createElement('div');
+    item.className = 'planner-option';
+    
+    const vacationDays = daysBetween(option.start_date, option.end_date) + 1 - option.holidays;
+    const holidaysText = option.holidays > 0 ? `, праздников внутри: ${option.holidays}` : '';
+    const total = changes.reduce((sum, row) => sum + row.difference, 0);
+    const changesList = changes.map(row => {
+        const amounts = row.before !== null && row.after !== null
+            ? `${formatNumber(row.before)} → ${formatNumber(row.after)} ₽ (${formatSignedAmount(row.difference)})`
+            : formatSignedAmount(row.difference);
+        return `<li>${formatDate(row.date)}, ${describePaymentType(row.payment)}: ${amounts}</li>`;
+    }).join('');
+    
+    item.innerHTML = `
+        <div class="planner-option-header">
+            <span>
+                <strong>${formatDate(option.start_date)} - ${formatDate(option.end_date)}</strong>:
+                ${vacationDays} дн. отпуска → ${option.days_off} дн. отдыха
+                (${formatDate(option.days_off_start)} - ${formatDate(option.days_off_end)})
+            </span>
+            <button type="button" class="payslip-btn">➕ Добавить</button>
+        </div>
+        <div>Рабочих дней пропускается: ${option.working_days}${holidaysText}</div>
+        ${changes.length > 0
+            ? `<ul>${changesList}</ul><div>Итого по этим выплатам: ${formatSignedAmount(total)}</div>`
+            : ''}
+    `;
+    
+    item.querySelector('button').addEventListener('click', () => applyVacationOption(option));
+    return item;
+}
+
+/**
+ * Добавление выбранного варианта в список отпусков
+ */
+function applyVacationOption(option) {
+    const absences = addVacationRange(currentVacations, option.start_date, option.end_date);
+    handleCalendarVacationsChange(absences);
+    vacationCalendar.setAbsences(absences);
+    vacationCalendar.setMonth(option.start_date);
+}
+
+/**
+ * Пересчет дат выплат для календаря отпусков (не чаще, чем пользователь делает паузу)
+ */
+function scheduleCalendarPaymentsUpdate() {
+    clearTimeout(calendarPaymentsTimer);
+    calendarPaymentsTimer = setTimeout(updateCalendarPayments, 300);
+}
+
+/**
+ * Даты выплат за показанные в календаре месяцы
+ */
+async function updateCalendarPayments() {
+    const request = ++calendarPaymentsRequest;
+    let payments = [];
+    
+    if (currentSalary) {
         try {
-            const vacations = parseVacationText(vacationInput.value);
-            currentVacations = vacations || [];
-            hideError();
+            payments = await calculateNextSalaries(
+                getSalaryTimeline(),
+                currentSchedule,
+                0,
+                currentVacations,
+                { ...getCalculationOptions(), range: vacationCalendar.getVisibleRange() }
+            );
         } catch (e) {
-            // Ошибка парсинга - пока не показываем, пользователь может еще вводить
+            // Ошибки во входных данных покажет основной расчет
         }
-    } else {
-        currentVacations = [];
+    }
+    
+    // Пока считали, отпуска могли снова измениться
+    if (request === calendarPaymentsRequest) {
+        await vacationCalendar.setPayments(payments);
     }
 }
 
@@ -110,11 +708,10 @@ async function handleFileSelect(event) {
         if (vacations && vacations.length > 0) {
             currentVacations = vacations;
             // Заполняем текстовое поле для отображения
-            vacationInput.value = vacations.map(v => {
-                const start = formatDate(v.start_date);
-                const end = formatDate(v.end_date);
-                return start === end ? start : `${start}-${end}`;
-            }).join('\n');
+            vacationInput.value = vacations.map(formatAbsenceLine).join('\n');
+            displayVacationDiagnostics(analyzeVacationText(vacationInput.value));
+            vacationCalendar.setAbsences(vacations);
+            scheduleCalendarPaymentsUpdate();
             hideError();
         } else {
             showError('В файле не найдено отпусков. Убедитесь, что файл содержит даты в правильном формате.');
@@ -125,152 +722,2069 @@ async function handleFileSelect(event) {
 }
 
 /**
- * Обработка расчета зарплат
+ * Обработка выбора графика выплат
+ * "Свой график" открывает редактор с текущим графиком в формате JSON
  */
-async function handleCalculate() {
-    if (!currentSalary || currentSalary <= 0) {
-        showError('Введите корректную сумму зарплаты');
+function handleScheduleSelect() {
+    if (scheduleSelect.value === 'custom') {
+        scheduleEditor.value = JSON.stringify(currentSchedule, null, 2);
+        scheduleEditor.style.display = 'block';
+        scheduleHint.style.display = 'block';
         return;
     }
     
-    // Парсим отпуска из текстового поля, если файл не загружен
-    if (vacationInput.value.trim() && currentVacations.length === 0) {
-        try {
-            const vacations = parseVacationText(vacationInput.value);
-            currentVacations = vacations || [];
-        } catch (e) {
-            showError('Ошибка парсинга дат отпусков: ' + e.message);
-            return;
+    currentSchedule = PAY_SCHEDULE_PRESETS[scheduleSelect.value];
+    scheduleEditor.style.display = 'none';
+    scheduleHint.style.display = 'none';
+    scheduleCalendarPaymentsUpdate();
+}
+
+/**
+ * Обработка выбора способа расчета аванса
+ */
+function handleAdvanceMethodChange() {
+    const method = advanceMethodSelect.value;
+    advanceValueInput.style.display = method === ADVANCE_METHODS.PROPORTIONAL ? 'none' : 'block';
+    advanceValueInput.placeholder = method === ADVANCE_METHODS.PERCENT ? 'Процент оклада, например: 40' : 'Сумма, например: 30к';
+    advanceValueInput.value = '';
+}
+
+/**
+ * Способ расчета аванса из формы
+ * Возвращает null, если значение процента или суммы некорректно
+ */
+function parseAdvanceOptions() {
+    return parseAdvanceValue(advanceMethodSelect.value, advanceValueInput.value);
+}
+
+/**
+ * Способ расчета аванса по способу и введенному значению (проценту или сумме)
+ */
+function parseAdvanceValue(method, valueText) {
+    if (method === ADVANCE_METHODS.PERCENT) {
+        const percent = parseFloat(valueText.replace(',', '.').replace('%', ''));
+        if (!(percent > 0 && percent <= 100)) {
+            return null;
         }
+        return { method, value: percent };
     }
     
-    // Показываем индикатор загрузки
-    showLoading();
-    hideError();
-    
-    try {
-        // Рассчитываем зарплаты
-        const salaries = await calculateNextSalaries(
-            currentSalary,
-            SALARY_PAYMENT_DAYS,
-            5,
-            currentVacations
-        );
-        
-        if (!salaries || salaries.length === 0) {
-            showError('Не удалось рассчитать график зарплат. Попробуйте позже.');
-            hideLoading();
-            return;
+    if (method === ADVANCE_METHODS.FIXED) {
+        const amount = parseSalaryAmount(valueText);
+        if (!amount) {
+            return null;
         }
-        
-        // Показываем результаты
-        displayResults(salaries);
-        
-        // Рассчитываем стоимость часа для текущего месяца
-        await calculateHourlyRate();
-        
-    } catch (e) {
-        showError('Ошибка расчета зарплат: ' + e.message);
-        console.error(e);
-    } finally {
-        hideLoading();
+        return { method, value: amount };
     }
+    
+    return { method: ADVANCE_METHODS.PROPORTIONAL };
 }
 
 /**
- * Отображение результатов
+ * Описание разбивки на аванс и окончательный расчет для сводки
  */
-function displayResults(salaries) {
-    // Обновляем summary
-    document.getElementById('summarySalary').textContent = `${formatNumber(currentSalary)} ₽/месяц`;
-    document.getElementById('summaryPaymentDays').textContent = `${SALARY_PAYMENT_DAYS.join(' и ')} числа каждого месяца`;
+function describeAdvance(advance) {
+    const rest = 'остаток - заработок за месяц минус аванс';
     
-    if (currentVacations.length > 0) {
-        document.getElementById('summaryVacations').style.display = 'flex';
-        document.getElementById('summaryVacationsCount').textContent = currentVacations.length;
-    } else {
-        document.getElementById('summaryVacations').style.display = 'none';
+    if (advance.method === ADVANCE_METHODS.PERCENT) {
+        const salary = getSalaryOnDate(normalizeSalaryHistory(getSalaryTimeline()), getAsOfDate());
+        return `${formatNumber(advance.value, advance.value % 1 ? 1 : 0)}% оклада (${formatNumber(salary * advance.value / 100)} ₽), ${rest}`;
     }
-    
-    // Отображаем список зарплат
-    const salariesList = document.getElementById('salariesList');
-    salariesList.innerHTML = '';
-    
-    const monthsRu = {
-        1: 'января', 2: 'февраля', 3: 'марта', 4: 'апреля',
-        5: 'мая', 6: 'июня', 7: 'июля', 8: 'августа',
-        9: 'сентября', 10: 'октября', 11: 'ноября', 12: 'декабря'
-    };
-    
-    salaries.forEach((salaryData, index) => {
-        const date = salaryData.date;
-        const amount = salaryData.amount;
-        const workedDays = salaryData.worked_days;
-        const periodStart = salaryData.period_start;
-        const periodEnd = salaryData.period_end;
-        const vacationDaysDeducted = salaryData.vacation_days_deducted || 0;
-        
-        const monthName = monthsRu[date.getMonth() + 1] || '';
-        const startMonthName = monthsRu[periodStart.getMonth() + 1] || '';
-        const endMonthName = monthsRu[periodEnd.getMonth() + 1] || '';
-        
-        const salaryItem = document.createElement('div');
-        salaryItem.className = 'salary-item';
-        
-        let workedDaysText = `${workedDays} рабочих дней`;
-        if (vacationDaysDeducted > 0) {
-            workedDaysText += ` (-${vacationDaysDeducted} рабочих дней - отпуск)`;
-        }
-        
-        salaryItem.innerHTML = `
-            <div class="salary-item-header">
-                <div class="salary-date">${date.getDate()} ${monthName}</div>
-                <div class="salary-amount">${formatNumber(amount)} ₽</div>
-            </div>
-            <div class="salary-details">
-                <div class="salary-detail">
-                    <span class="label">За период:</span>
-                    <span class="value">${periodStart.getDate()} ${startMonthName} - ${periodEnd.getDate()} ${endMonthName}</span>
-                </div>
-                <div class="salary-detail">
-                    <span class="label">Отработано:</span>
-                    <span class="value">${workedDaysText}</span>
-                </div>
-            </div>
-        `;
-        
-        salariesList.appendChild(salaryItem);
-    });
-    
-    // Показываем секцию результатов
-    formSection.style.display = 'none';
-    resultsSection.style.display = 'block';
-    resetBtn.style.display = 'block';
+    if (advance.method === ADVANCE_METHODS.FIXED) {
+        return `${formatNumber(advance.value)} ₽, ${rest}`;
+    }
+    return 'по отработанным дням первой половины месяца, остаток - за вторую половину';
 }
 
 /**
- * Расчет стоимости часа для текущего месяца
+ * Обработка выбора горизонта: ближайшие зарплаты, до конца года, 12/24 месяца или период
  */
-async function calculateHourlyRate() {
-    try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
+function handleViewModeChange() {
+    const isRange = viewModeSelect.value === FORECAST_HORIZONS.RANGE;
+    dateRangeInputs.style.display = isRange ? 'flex' : 'none';
+    paymentsCountLabel.style.display = viewModeSelect.value === FORECAST_HORIZONS.UPCOMING ? 'block' : 'none';
+    
+    // По умолчанию - календарный год даты расчета
+    if (isRange && !rangeStartInput.value && !rangeEndInput.value) {
+        const year = getAsOfDate().getFullYear();
+        rangeStartInput.value = dateToKey(new Date(year, 0, 1));
+        rangeEndInput.value = dateToKey(new Date(year, 11, 31));
+    }
+}
+
+/**
+ * Дата расчета из формы (сегодня, если не указана)
+ */
+function getAsOfDate() {
+    const date = asOfInput.value ? keyToDate(asOfInput.value) : new Date();
+    date.setHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Период выплат для выбранного горизонта или null для ближайших зарплат
+ */
+function getDateRange() {
+    if (viewModeSelect.value !== FORECAST_HORIZONS.RANGE) {
+        return getHorizonRange(viewModeSelect.value, getAsOfDate());
+    }
+    if (!rangeStartInput.value || !rangeEndInput.value) {
+        return null;
+    }
+    return { start: keyToDate(rangeStartInput.value), end: keyToDate(rangeEndInput.value) };
+}
+
+/**
+ * Количество ближайших зарплат из формы или null, если оно некорректно
+ */
+function getPaymentsCount() {
+    const count = Number(paymentsCountInput.value);
+    return Number.isInteger(count) && count >= 1 && count <= MAX_FORECAST_PAYMENTS ? count : null;
+}
+
+/**
+ * Проверка горизонта расчета; возвращает текст ошибки или null
+ */
+function getHorizonError() {
+    if (viewModeSelect.value === FORECAST_HORIZONS.UPCOMING && !getPaymentsCount()) {
+        return `Количество зарплат - от 1 до ${MAX_FORECAST_PAYMENTS}`;
+    }
+    if (viewModeSelect.value === FORECAST_HORIZONS.RANGE) {
+        const range = getDateRange();
+        if (!range) {
+            return 'Укажите начало и конец периода';
+        }
+        if (range.start > range.end) {
+            return 'Начало периода позже его конца';
+        }
+    }
+    return null;
+}
+
+/**
+ * Обработка загрузки банковской выписки
+ */
+async function handleStatementFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const MAX_FILE_SIZE = 1024 * 1024;
+    if (file.size > MAX_FILE_SIZE) {
+        showError('Файл слишком большой. Максимальный размер: 1 MB');
+        statementFile.value = '';
+        statementFileName.textContent = '';
+        return;
+    }
+    
+    statementFileName.textContent = `📎 ${file.name}`;
+    
+    try {
+        const entries = await parseBankStatementFile(file);
+        if (entries.length > 0) {
+            // Заполняем текстовое поле - его и сверяем
+            statementInput.value = entries
+                .map(e => `${formatDate(e.date)};${e.amount.toFixed(2)};${e.description}`)
+                .join('\n');
+            hideError();
+        } else {
+            showError('В выписке не найдено поступлений');
+        }
+    } catch (e) {
+        showError('Ошибка чтения выписки: ' + e.message);
+    }
+}
+
+/**
+ * Параметры сверки из формы: допуск по сумме и окно поиска в днях
+ */
+function getReconciliationOptions() {
+    const tolerance = parseFloat(toleranceInput.value);
+    const windowDays = parseInt(windowDaysInput.value, 10);
+    
+    return {
+        tolerance: tolerance >= 0 ? tolerance : RECONCILIATION_DEFAULTS.tolerance,
+        windowDays: windowDays >= 0 ? windowDays : RECONCILIATION_DEFAULTS.windowDays
+    };
+}
+
+/**
+ * Обработка выбора источника производственного календаря или региона
+ */
+function handleCalendarSourceChange() {
+    const source = calendarSource.value;
+    calendarFileUpload.style.display = source === 'file' ? 'block' : 'none';
+    
+    // Для файла ждем, пока пользователь его загрузит
+    if (source === 'file' && !currentCalendarDataset) {
+        return;
+    }
+    
+    setCalendarSource(source, currentCalendarDataset, calendarRegionSelect.value);
+    vacationCalendar.render();
+    scheduleCalendarPaymentsUpdate();
+    hideError();
+}
+
+/**
+ * Обработка выбора файла производственного календаря
+ */
+async function handleCalendarFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    // Проверка размера файла (максимум 1 MB)
+    const MAX_FILE_SIZE = 1024 * 1024;
+    if (file.size > MAX_FILE_SIZE) {
+        showError('Файл слишком большой. Максимальный размер: 1 MB');
+        calendarFile.value = '';
+        calendarFileName.textContent = '';
+        return;
+    }
+    
+    // Проверка расширения файла
+    const allowedExtensions = ['.json', '.xml'];
+    const fileExt = '.' + file.name.split('.').pop().toLowerCase();
+    
+    if (!allowedExtensions.includes(fileExt)) {
+        showError('Неподдерживаемый формат файла календаря. Поддерживаются только: .json, .xml');
+        calendarFile.value = '';
+        calendarFileName.textContent = '';
+        return;
+    }
+    
+    try {
+        const dataset = await parseCalendarFile(file);
+        const years = Object.keys(dataset.years);
+        if (years.length === 0) {
+            showError('В файле календаря не найдено ни одного года');
+            return;
+        }
+        
+        currentCalendarDataset = dataset;
+        setCalendarSource('file', dataset, calendarRegionSelect.value);
+        vacationCalendar.render();
+        scheduleCalendarPaymentsUpdate();
+        calendarFileName.textContent = `📎 ${file.name} (годы: ${years.join(', ')})`;
+        hideError();
+    } catch (e) {
+        showError('Ошибка чтения файла календаря: ' + e.message);
+    }
+}
+
+/**
+ * Обработка расчета зарплат
+ */
+async function handleCalculate() {
+    if (currentAppMode === 'team') {
+        await handleTeamCalculate();
+        return;
+    }
+    
+    if (!currentSalary || currentSalary <= 0) {
+        showError('Введите корректную сумму зарплаты');
+        return;
+    }
+    
+    // Отпуска из текстового поля (файл тоже попадает в поле); строки с ошибками не пропускаем молча
+    const vacationReport = analyzeVacationText(vacationInput.value);
+    if (vacationReport.errors > 0) {
+        const line = vacationReport.lines.find(l => l.status === 'error');
+        showError(`Ошибка в датах отпусков, строка ${line.number}: ${line.reasons.join('; ')}`);
+        return;
+    }
+    currentVacations = vacationReport.vacations;
+    
+    try {
+        currentSalaryHistory = parseSalaryHistoryText(salaryHistoryInput.value);
+    } catch (e) {
+        showError('Ошибка в изменениях оклада: ' + e.message);
+        return;
+    }
+    
+    try {
+        currentBonuses = parseBonusText(bonusInput.value);
+    } catch (e) {
+        showError('Ошибка в премиях: ' + e.message);
+        return;
+    }
+    
+    try {
+        currentWorkLog = parseWorkLogText(workLogInput.value);
+    } catch (e) {
+        showError('Ошибка в журнале переработок: ' + e.message);
+        return;
+    }
+    
+    try {
+        currentWorkPattern = parseWorkPattern(getFormState());
+    } catch (e) {
+        showError('Ошибка в режиме работы: ' + e.message);
+        return;
+    }
+    
+    try {
+        currentExpenses = parseExpenseText(expensesInput.value);
+        currentStartingBalance = parseStartingBalance(startingBalanceInput.value);
+    } catch (e) {
+        showError('Ошибка в бюджете: ' + e.message);
+        return;
+    }
+    
+    try {
+        currentLeaveSettings = getLeaveSettings();
+    } catch (e) {
+        showError('Ошибка в остатке отпуска: ' + e.message);
+        return;
+    }
+    
+    // Свой график выплат проверяем перед расчетом
+    if (scheduleSelect.value === 'custom') {
+        try {
+            currentSchedule = validatePaySchedule(JSON.parse(scheduleEditor.value));
+        } catch (e) {
+            const reason = e instanceof SyntaxError ? 'некорректный JSON' : e.message;
+            showError('Ошибка в графике выплат: ' + reason);
+            return;
+        }
+    }
+    
+    if (!parseAdvanceOptions()) {
+        showError(advanceMethodSelect.value === ADVANCE_METHODS.PERCENT
+            ? 'Введите процент аванса от 1 до 100'
+            : 'Введите корректную сумму аванса');
+        return;
+    }
+    
+    const horizonError = getHorizonError();
+    if (horizonError) {
+        showError(horizonError);
+        return;
+    }
+    
+    let statement = [];
+    if (statementInput.value.trim()) {
+        try {
+            statement = parseBankStatement(statementInput.value);
+        } catch (e) {
+            showError('Ошибка в выписке: ' + e.message);
+            return;
+        }
+    }
+    
+    if (calendarSource.value === 'file' && !currentCalendarDataset) {
+        showError('Загрузите файл производственного календаря или выберите другой источник');
+        return;
+    }
+    
+    // Показываем индикатор загрузки
+    showLoading();
+    hideError();
+    
+    try {
+        // Рассчитываем зарплаты
+        const salaries = await calculateNextSalaries(
+            getSalaryTimeline(),
+            currentSchedule,
+            getPaymentsCount(),
+            currentVacations,
+            getCalculationOptions()
+        );
+        
+        if (!salaries || salaries.length === 0) {
+            showError(getDateRange()
+                ? 'За выбранный период выплат нет'
+                : 'Не удалось рассчитать график зарплат. Попробуйте позже.');
+            hideLoading();
+            return;
+        }
+        
+        // Показываем результаты
+        displayResults(salaries);
+        updateStateHash();
+        await displayMonthlyTotals(salaries);
+        displayBudget(salaries);
+        await displayLeaveBalance(salaries);
+        
+        // Рассчитываем стоимость часа для месяца даты расчета
+        await calculateHourlyRate();
+        
+        // Сверка с фактическими поступлениями
+        await displayReconciliation(statement);
+        
+    } catch (e) {
+        showError('Ошибка расчета зарплат: ' + e.message);
+        console.error(e);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Параметры расчета из формы
+ */
+function getCalculationOptions() {
+    const weeklyHours = parseInt(weeklyHoursSelect.value, 10);
+    
+    return {
+        weeklyHours: WEEKLY_HOURS_NORMS.includes(weeklyHours) ? weeklyHours : DEFAULT_WEEKLY_HOURS,
+        prorationBasis: prorateByHoursCheckbox.checked ? 'hours' : 'days',
+        salaryMode: currentSalaryMode,
+        sickLeavePercent: parseInt(sickLeavePercentSelect.value, 10),
+        advance: parseAdvanceOptions(),
+        asOf: getAsOfDate(),
+        range: getDateRange(),
+        bonuses: currentBonuses,
+        workLog: currentWorkLog,
+        workPattern: currentWorkPattern
+    };
+}
+
+/**
+ * Показать поля выбранного режима работы
+ */
+function handleWorkPatternChange() {
+    const type = workPatternSelect.value;
+    workWeekdays.style.display = type === WORK_PATTERN_TYPES.WEEKDAYS ? 'flex' : 'none';
+    rotaParams.style.display = type === WORK_PATTERN_TYPES.ROTA ? 'flex' : 'none';
+    shiftHoursLabel.style.display = type === WORK_PATTERN_TYPES.STANDARD ? 'none' : 'block';
+    accountingPeriodLabel.style.display = summarizedHoursCheckbox.checked ? 'block' : 'none';
+}
+
+/**
+ * Режим работы по полям формы или сохраненного состояния (см. getFormState)
+ * Для пятидневки на полную ставку без суммированного учета возвращает null
+ */
+function parseWorkPattern(state) {
+    const type = state.workPattern || WORK_PATTERN_TYPES.STANDARD;
+    const toNumber = (text) => text ? Number(String(text).replace(',', '.')) : null;
+    
+    const pattern = {
+        type,
+        shiftHours: toNumber(state.shiftHours),
+        partTime: toNumber(state.partTime),
+        summarizedHours: Boolean(state.summarizedHours),
+        accountingPeriodMonths: parseInt(state.accountingPeriod, 10) || null
+    };
+    if (type === WORK_PATTERN_TYPES.WEEKDAYS) {
+        pattern.weekdays = (state.workWeekdays || '').split(',').filter(Boolean).map(Number);
+    }
+    if (type === WORK_PATTERN_TYPES.ROTA) {
+        Object.assign(pattern, parseRotaText(state.rota || ''));
+        pattern.anchor = state.rotaStart ? keyToDate(state.rotaStart) : null;
+    }
+    
+    const validated = validateWorkPattern(pattern);
+    return isStandardWorkPattern(validated) ? null : validated;
+}
+
+/**
+ * Переключение режима: один сотрудник или команда
+ */
+function handleAppModeChange(event) {
+    setAppMode(event.target.value);
+}
+
+/**
+ * Установить режим и показать нужные поля
+ * В командном режиме оклад, график и отпуска задаются для каждого сотрудника в CSV,
+ * общими остаются календарь, норма времени и дата расчета
+ */
+function setAppMode(mode) {
+    currentAppMode = mode;
+    document.querySelector(`input[name="appMode"][value="${mode}"]`).checked = true;
+    
+    const isTeam = mode === 'team';
+    const personalDisplay = !isTeam && currentSalary ? 'block' : 'none';
+    const sharedDisplay = isTeam || currentSalary ? 'block' : 'none';
+    
+    salaryGroup.style.display = isTeam ? 'none' : 'block';
+    teamGroup.style.display = isTeam ? 'block' : 'none';
+    workLogFields.style.display = isTeam ? 'none' : 'block';
+    workPatternFields.style.display = isTeam ? 'none' : 'block';
+    for (const group of [salaryHistoryGroup, bonusGroup, vacationGroup, scheduleGroup, reconcileGroup, budgetGroup, comparisonGroup]) {
+        group.style.display = personalDisplay;
+    }
+    for (const group of [calendarGroup, workTimeGroup, dateGroup]) {
+        group.style.display = sharedDisplay;
+    }
+    
+    calculateBtn.disabled = isTeam ? !teamInput.value.trim() : !currentSalary;
+    hideError();
+}
+
+/**
+ * Обработка ввода списка сотрудников
+ */
+function handleTeamInput() {
+    calculateBtn.disabled = !teamInput.value.trim();
+}
+
+/**
+ * Обработка загрузки CSV со списком сотрудников
+ */
+async function handleTeamFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const MAX_FILE_SIZE = 1024 * 1024;
+    if (file.size > MAX_FILE_SIZE) {
+        showError('Файл слишком большой. Максимальный размер: 1 MB');
+        teamFile.value = '';
+        teamFileName.textContent = '';
+        return;
+    }
+    
+    teamFileName.textContent = `📎 ${file.name}`;
+    
+    try {
+        const text = await readTextFile(file);
+        // Заполняем текстовое поле - его и рассчитываем
+        teamInput.value = text.replace(/^\uFEFF/, '').trim();
+        handleTeamInput();
+        hideError();
+    } catch (e) {
+        showError('Ошибка чтения файла: ' + e.message);
+    }
+}
+
+/**
+ * Разбор CSV со списком сотрудников: имя, оклад, график, отпуска
+ * Отпуска - диапазоны через "|"; строка заголовка пропускается
+ * Возвращает [{ name, salary, salaryMode, scheduleId, vacations }]
+ */
+function parseEmployeeCsv(text) {
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+    if (lines.length === 0) {
+        return [];
+    }
+    
+    const separator = lines[0].includes(';') ? ';' : (lines[0].includes('\t') ? '\t' : ',');
+    const employees = [];
+    
+    lines.forEach((line, index) => {
+        const [name = '', salaryText = '', scheduleText = '', vacationsText = ''] = splitCsvLine(line, separator);
+        
+        // Заголовок: во втором столбце нет цифр
+        if (index === 0 && !/\d/.test(salaryText)) {
+            return;
+        }
+        
+        const error = (message) => new Error(`Строка ${index + 1}: ${message}`);
+        
+        if (!name) {
+            throw error('не указано имя сотрудника');
+        }
+        
+        const salary = parseSalaryAmount(salaryText);
+        if (!salary) {
+            throw error(`неверный оклад "${salaryText}"`);
+        }
+        
+        const scheduleId = scheduleText || 'standard';
+        if (!PAY_SCHEDULE_PRESETS[scheduleId]) {
+            throw error(`неизвестный график "${scheduleText}" (доступны: ${Object.keys(PAY_SCHEDULE_PRESETS).join(', ')})`);
+        }
+        
+        const vacations = vacationsText.split('|').map(v => v.trim()).filter(v => v).map(rangeText => {
+            const vacation = parseVacationLine(rangeText);
+            if (!vacation) {
+                throw error(`неверный период отсутствия "${rangeText}"`);
+            }
+            return vacation;
+        });
+        
+        employees.push({ name, salary, salaryMode: detectSalaryMode(salaryText), scheduleId, vacations });
+    });
+    
+    return employees;
+}
+
+/**
+ * Расчет фонда выплат команды
+ */
+async function handleTeamCalculate() {
+    let employees;
+    try {
+        employees = parseEmployeeCsv(teamInput.value);
+    } catch (e) {
+        showError('Ошибка в списке сотрудников: ' + e.message);
+        return;
+    }
+    
+    if (employees.length === 0) {
+        showError('Добавьте хотя бы одного сотрудника');
+        return;
+    }
+    
+    const horizonError = getHorizonError();
+    if (horizonError) {
+        showError(horizonError);
+        return;
+    }
+    
+    if (calendarSource.value === 'file' && !currentCalendarDataset) {
+        showError('Загрузите файл производственного календаря или выберите другой источник');
+        return;
+    }
+    
+    showLoading();
+    hideError();
+    
+    try {
+        // Премии, переработки и аванс - личные параметры, в командном режиме их нет
+        const team = await calculateTeamPayroll(employees, getPaymentsCount(), {
+            ...getCalculationOptions(),
+            salaryMode: 'net',
+            advance: null,
+            bonuses: [],
+            workLog: [],
+            workPattern: null
+        });
+        
+        if (team.totals.length === 0) {
+            showError(getDateRange()
+                ? 'За выбранный период выплат нет'
+                : 'Не удалось рассчитать график зарплат. Попробуйте позже.');
+            return;
+        }
+        
+        displayTeamResults(team);
+        updateStateHash();
+    } catch (e) {
+        showError('Ошибка расчета зарплат: ' + e.message);
+        console.error(e);
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Отображение фонда выплат команды и графиков сотрудников
+ */
+function displayTeamResults(team) {
+    const asOf = getAsOfDate();
+    const range = getDateRange();
+    const total = team.totals.reduce((sum, t) => sum + t.amount, 0);
+    const ndfl = team.totals.reduce((sum, t) => sum + t.ndfl, 0);
+    
+    document.getElementById('teamResultsTitle').textContent = range
+        ? `👥 Фонд выплат за период ${formatDate(range.start)} - ${formatDate(range.end)}`
+        : '👥 Фонд выплат команды';
+    document.getElementById('teamSummaryCount').textContent = team.employees.length;
+    document.getElementById('teamSummaryAsOf').textContent = formatDate(asOf);
+    document.getElementById('teamSummaryTotal').textContent = `${formatNumber(total)} ₽`;
+    document.getElementById('teamSummaryNdfl').textContent = `${formatNumber(ndfl)} ₽`;
+    
+    // Итоги по датам; по клику - из кого складывается сумма
+    const tbody = document.getElementById('teamTotalsBody');
+    tbody.innerHTML = '';
+    for (const dateTotal of team.totals) {
+        const row = document.createElement('tr');
+        row.className = 'team-total-row';
+        row.innerHTML = `
+            <td>${formatDate(dateTotal.date)}${dateTotal.date <= asOf ? ' ✓' : ''}</td>
+            <td>${dateTotal.payments.length}</td>
+            <td><strong>${formatNumber(dateTotal.amount)} ₽</strong></td>
+            <td>${formatNumber(dateTotal.ndfl)} ₽</td>
+            <td>${formatNumber(dateTotal.gross)} ₽</td>
+        `;
+        
+        const breakdownRow = document.createElement('tr');
+        breakdownRow.className = 'team-breakdown';
+        breakdownRow.style.display = 'none';
+        breakdownRow.innerHTML = `
+            <td colspan="5">${dateTotal.payments.map(({ name, payment }) =>
+                `${escapeXml(name)}: ${formatNumber(payment.amount)} ₽ (${describePaymentType(payment)})`).join('<br>')}</td>
+        `;
+        
+        row.addEventListener('click', () => {
+            breakdownRow.style.display = breakdownRow.style.display === 'none' ? '' : 'none';
+        });
+        tbody.appendChild(row);
+        tbody.appendChild(breakdownRow);
+    }
+    
+    // Графики сотрудников раскрываются по одному; карточки строятся при первом открытии
+    const employeesList = document.getElementById('teamEmployeesList');
+    employeesList.innerHTML = '';
+    for (const employee of team.employees) {
+        const details = document.createElement('details');
+        details.className = 'team-employee';
+        const employeeTotal = employee.payments.reduce((sum, p) => sum + p.amount, 0);
+        const modeText = employee.salaryMode === 'gross' ? 'до вычета НДФЛ' : 'на руки';
+        details.innerHTML = `
+            <summary>
+                <strong>${escapeXml(employee.name)}</strong>
+                <span>${formatNumber(employee.salary)} ₽ (${modeText}), ${escapeXml(PAY_SCHEDULE_PRESETS[employee.scheduleId].name)}</span>
+                <span>${formatNumber(employeeTotal)} ₽</span>
+            </summary>
+            <div class="salaries-list"></div>
+        `;
+        
+        details.addEventListener('toggle', () => {
+            const list = details.querySelector('.salaries-list');
+            if (details.open && list.children.length === 0) {
+                renderPaymentItems(list, employee.payments, {
+                    salary: getSalaryOnDate(normalizeSalaryHistory(employee.salary), asOf),
+                    salaryMode: employee.salaryMode || 'net',
+                    employeeName: employee.name
+                });
+            }
+        });
+        employeesList.appendChild(details);
+    }
+    
+    const rangeStart = new Date(team.totals[0].date.getFullYear(), team.totals[0].date.getMonth() - 1, 1);
+    const rangeEnd = team.totals[team.totals.length - 1].date;
+    document.getElementById('teamCalendarSourceNote').textContent = formatCalendarSources(getCalendarSources(rangeStart, rangeEnd));
+    
+    const cutoffNote = document.getElementById('teamCutoffNote');
+    if (team.cutoff) {
+        cutoffNote.textContent = `📌 Выплаты показаны по ${formatDate(team.cutoff)} - дальше графики части сотрудников еще не рассчитаны`;
+        cutoffNote.style.display = 'block';
+    } else {
+        cutoffNote.style.display = 'none';
+    }
+    
+    formSection.style.display = 'none';
+    teamResultsSection.style.display = 'block';
+    resetBtn.style.display = 'block';
+}
+
+/**
+ * Поля формы для ссылки и профилей
+ * Выписка не сохраняется (это личные данные), календарь из файла - тоже: файл не восстановить
+ */
+function getFormState() {
+    return {
+        v: STATE_VERSION,
+        mode: currentAppMode,
+        salary: salaryInput.value.trim(),
+        salaryMode: currentSalaryMode,
+        salaryHistory: salaryHistoryInput.value.trim(),
+        bonuses: bonusInput.value.trim(),
+        vacations: vacationInput.value.trim(),
+        sickLeavePercent: sickLeavePercentSelect.value,
+        schedule: scheduleSelect.value,
+        customSchedule: scheduleSelect.value === 'custom' ? scheduleEditor.value : '',
+        advanceMethod: advanceMethodSelect.value,
+        advanceValue: advanceValueInput.value.trim(),
+        calendarSource: calendarSource.value === 'file' ? 'bundled' : calendarSource.value,
+        calendarRegion: calendarRegionSelect.value,
+        weeklyHours: weeklyHoursSelect.value,
+        prorateByHours: prorateByHoursCheckbox.checked,
+        workLog: workLogInput.value.trim(),
+        workPattern: workPatternSelect.value !== WORK_PATTERN_TYPES.STANDARD ? workPatternSelect.value : '',
+        workWeekdays: workPatternSelect.value === WORK_PATTERN_TYPES.WEEKDAYS
+            ? Array.from(document.querySelectorAll('input[name="workWeekday"]:checked')).map(input => input.value).join(',')
+            : '',
+        rota: workPatternSelect.value === WORK_PATTERN_TYPES.ROTA ? rotaInput.value.trim() : '',
+        rotaStart: workPatternSelect.value === WORK_PATTERN_TYPES.ROTA ? rotaStartInput.value : '',
+        shiftHours: workPatternSelect.value !== WORK_PATTERN_TYPES.STANDARD ? shiftHoursInput.value : '',
+        partTime: partTimeInput.value !== '1' ? partTimeInput.value : '',
+        summarizedHours: summarizedHoursCheckbox.checked,
+        accountingPeriod: summarizedHoursCheckbox.checked ? accountingPeriodSelect.value : '',
+        hireDate: hireDateInput.value,
+        leaveBalance: leaveBalanceInput.value.trim(),
+        extraLeave: extraLeaveInput.value !== '0' ? extraLeaveInput.value : '',
+        expenses: expensesInput.value.trim(),
+        startingBalance: startingBalanceInput.value.trim(),
+        // Сегодняшнюю дату не запоминаем: по ссылке завтра расчет должен быть на завтра
+        asOf: asOfInput.value !== dateToKey(new Date()) ? asOfInput.value : '',
+        viewMode: viewModeSelect.value,
+        paymentsCount: viewModeSelect.value === FORECAST_HORIZONS.UPCOMING ? paymentsCountInput.value : '',
+        rangeStart: viewModeSelect.value === FORECAST_HORIZONS.RANGE ? rangeStartInput.value : '',
+        rangeEnd: viewModeSelect.value === FORECAST_HORIZONS.RANGE ? rangeEndInput.value : '',
+        team: teamInput.value.trim(),
+        tolerance: toleranceInput.value,
+        windowDays: windowDaysInput.value
+    };
+}
+
+/**
+ * Выбрать значение в списке, если такой вариант есть
+ */
+function setSelectValue(select, value) {
+    if (value !== undefined && Array.from(select.options).some(option => option.value === String(value))) {
+        select.value = String(value);
+    }
+}
+
+/**
+ * Заполнение формы из сохраненного состояния (форма должна быть сброшена)
+ */
+function applyFormState(state) {
+    salaryInput.value = state.salary || '';
+    salaryHistoryInput.value = state.salaryHistory || '';
+    bonusInput.value = state.bonuses || '';
+    vacationInput.value = state.vacations || '';
+    workLogInput.value = state.workLog || '';
+    if (state.hireDate && /^\d{4}-\d{2}-\d{2}$/.test(state.hireDate)) {
+        hireDateInput.value = state.hireDate;
+    }
+    leaveBalanceInput.value = state.leaveBalance || '';
+    extraLeaveInput.value = state.extraLeave || '0';
+    expensesInput.value = state.expenses || '';
+    startingBalanceInput.value = state.startingBalance || '';
+    teamInput.value = state.team || '';
+    
+    setSalaryMode(state.salaryMode === 'gross' ? 'gross' : 'net');
+    setSelectValue(sickLeavePercentSelect, state.sickLeavePercent);
+    setSelectValue(weeklyHoursSelect, state.weeklyHours);
+    prorateByHoursCheckbox.checked = Boolean(state.prorateByHours);
+    setSelectValue(workPatternSelect, state.workPattern);
+    if (state.workWeekdays) {
+        const weekdays = state.workWeekdays.split(',');
+        document.querySelectorAll('input[name="workWeekday"]').forEach(input => {
+            input.checked = weekdays.includes(input.value);
+        });
+    }
+    rotaInput.value = state.rota || '';
+    if (state.rotaStart && /^\d{4}-\d{2}-\d{2}$/.test(state.rotaStart)) {
+        rotaStartInput.value = state.rotaStart;
+    }
+    shiftHoursInput.value = state.shiftHours || '';
+    partTimeInput.value = state.partTime || '1';
+    summarizedHoursCheckbox.checked = Boolean(state.summarizedHours);
+    setSelectValue(accountingPeriodSelect, state.accountingPeriod);
+    handleWorkPatternChange();
+    
+    setSelectValue(scheduleSelect, state.schedule);
+    handleScheduleSelect();
+    if (scheduleSelect.value === 'custom' && state.customSchedule) {
+        scheduleEditor.value = state.customSchedule;
+    }
+    
+    setSelectValue(advanceMethodSelect, state.advanceMethod);
+    handleAdvanceMethodChange();
+    advanceValueInput.value = state.advanceValue || '';
+    setSelectValue(calendarSource, state.calendarSource);
+    // В состояниях, сохраненных до выбора региона, его нет - это Россия
+    setSelectValue(calendarRegionSelect, state.calendarRegion || DEFAULT_CALENDAR_REGION);
+    handleCalendarSourceChange();
+    
+    if (state.asOf && /^\d{4}-\d{2}-\d{2}$/.test(state.asOf)) {
+        asOfInput.value = state.asOf;
+    }
+    rangeStartInput.value = state.rangeStart || '';
+    rangeEndInput.value = state.rangeEnd || '';
+    setSelectValue(viewModeSelect, state.viewMode);
+    handleViewModeChange();
+    if (state.paymentsCount) paymentsCountInput.value = state.paymentsCount;
+    
+    if (state.tolerance !== undefined) toleranceInput.value = state.tolerance;
+    if (state.windowDays !== undefined) windowDaysInput.value = state.windowDays;
+    
+    handleVacationInput();
+    handleSalaryInput();
+    setAppMode(state.mode === 'team' ? 'team' : 'single');
+}
+
+/**
+ * Сохранение формы в адресе страницы (без новой записи в истории браузера)
+ */
+function updateStateHash() {
+    history.replaceState(null, '', encodeStateHash(getFormState()));
+}
+
+/**
+ * Удаление состояния из адреса
+ */
+function clearStateHash() {
+    if (window.location.hash) {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+}
+
+/**
+ * Восстановление расчета по ссылке: заполняем форму и сразу считаем
+ */
+function restoreStateFromHash() {
+    let state;
+    try {
+        state = decodeStateHash(window.location.hash);
+    } catch (e) {
+        showError('Не удалось открыть расчет по ссылке: ' + e.message);
+        return;
+    }
+    if (!state) return;
+    
+    handleReset();
+    applyFormState(state);
+    updateStateHash();
+    
+    if (!calculateBtn.disabled) {
+        handleCalculate();
+    }
+}
+
+/**
+ * Копирование ссылки на расчет
+ */
+async function handleCopyLink() {
+    updateStateHash();
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showProfileStatus('🔗 Ссылка скопирована');
+    } catch (e) {
+        showError('Не удалось скопировать ссылку - скопируйте адрес страницы вручную');
+    }
+}
+
+/**
+ * Заполнение списка профилей
+ */
+function refreshProfileSelect(selectedName = '') {
+    profileSelect.length = 1;
+    for (const profile of listProfiles()) {
+        profileSelect.add(new Option(profile.name, profile.name));
+    }
+    profileSelect.value = '';
+    setSelectValue(profileSelect, selectedName);
+    refreshScenarioList();
+}
+
+/**
+ * Сообщение о действии с профилями
+ */
+function showProfileStatus(text) {
+    profileStatus.textContent = text;
+    hideError();
+}
+
+/**
+ * Переключение профиля: форма заполняется сохраненными значениями
+ */
+function handleProfileSelect() {
+    const name = profileSelect.value;
+    profileNameInput.value = name;
+    if (!name) return;
+    
+    const profile = listProfiles().find(p => p.name === name);
+    if (!profile) {
+        refreshProfileSelect();
+        return;
+    }
+    
+    handleReset();
+    applyFormState(profile.state);
+    showProfileStatus(`Загружен профиль "${name}"`);
+}
+
+/**
+ * Сохранение формы в профиль (новый или выбранный)
+ */
+function handleSaveProfile() {
+    try {
+        const profile = saveProfile(profileNameInput.value || profileSelect.value, getFormState());
+        refreshProfileSelect(profile.name);
+        profileNameInput.value = profile.name;
+        showProfileStatus(`Профиль "${profile.name}" сохранен`);
+    } catch (e) {
+        showError('Ошибка профиля: ' + e.message);
+    }
+}
+
+/**
+ * Переименование выбранного профиля в название из поля ввода
+ */
+function handleRenameProfile() {
+    if (!profileSelect.value) {
+        showError('Выберите профиль, который нужно переименовать');
+        return;
+    }
+    
+    try {
+        const profile = renameProfile(profileSelect.value, profileNameInput.value);
+        refreshProfileSelect(profile.name);
+        showProfileStatus(`Профиль переименован в "${profile.name}"`);
+    } catch (e) {
+        showError('Ошибка профиля: ' + e.message);
+    }
+}
+
+/**
+ * Удаление выбранного профиля
+ */
+function handleDeleteProfile() {
+    const name = profileSelect.value;
+    if (!name) {
+        showError('Выберите профиль, который нужно удалить');
+        return;
+    }
+    if (!window.confirm(`Удалить профиль "${name}"?`)) return;
+    
+    try {
+        deleteProfile(name);
+        refreshProfileSelect();
+        profileNameInput.value = '';
+        showProfileStatus(`Профиль "${name}" удален`);
+    } catch (e) {
+        showError('Ошибка профиля: ' + e.message);
+    }
+}
+
+/**
+ * Выгрузка всех профилей в JSON
+ */
+function handleExportProfiles() {
+    if (listProfiles().length === 0) {
+        showError('Сохраненных профилей нет');
+        return;
+    }
+    downloadFile(exportProfiles(), 'salary-profiles.json', 'application/json;charset=utf-8');
+}
+
+/**
+ * Загрузка профилей из JSON
+ */
+async function handleImportProfiles(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    try {
+        const count = importProfiles(await readTextFile(file));
+        refreshProfileSelect(profileSelect.value);
+        showProfileStatus(`Импортировано профилей: ${count}`);
+    } catch (e) {
+        showError('Ошибка импорта профилей: ' + e.message);
+    } finally {
+        profilesFile.value = '';
+    }
+}
+
+/**
+ * Входные данные расчета из сохраненного состояния формы (для сравнения сценариев)
+ * Возвращает { salary, schedule, vacations, options } для calculateNextSalaries
+ * и calendar - { source, region } для setCalendarSource
+ */
+function getScenarioInputs(state) {
+    const salary = parseSalaryAmount(state.salary || '');
+    if (!salary) {
+        throw new Error('не указан оклад');
+    }
+    
+    const history = parseSalaryHistoryText(state.salaryHistory || '');
+    const vacationReport = analyzeVacationText(state.vacations || '');
+    if (vacationReport.errors > 0) {
+        const line = vacationReport.lines.find(l => l.status === 'error');
+        throw new Error(`ошибка в датах отпусков, строка ${line.number}: ${line.reasons.join('; ')}`);
+    }
+    const vacations = vacationReport.vacations;
+    
+    let schedule = PAY_SCHEDULE_PRESETS[state.schedule] || DEFAULT_PAY_SCHEDULE;
+    if (state.schedule === 'custom') {
+        try {
+            schedule = validatePaySchedule(JSON.parse(state.customSchedule));
+        } catch (e) {
+            throw new Error('ошибка в графике выплат: ' + (e instanceof SyntaxError ? 'некорректный JSON' : e.message));
+        }
+    }
+    
+    const advance = parseAdvanceValue(state.advanceMethod || ADVANCE_METHODS.PROPORTIONAL, state.advanceValue || '');
+    if (!advance) {
+        throw new Error('неверный процент или сумма аванса');
+    }
+    
+    let workPattern;
+    try {
+        workPattern = parseWorkPattern(state);
+    } catch (e) {
+        throw new Error('ошибка в режиме работы: ' + e.message);
+    }
+    
+    const weeklyHours = parseInt(state.weeklyHours, 10);
+    
+    // В состояниях, сохраненных до выбора региона, его нет - это Россия
+    const calendarRegion = state.calendarRegion || DEFAULT_CALENDAR_REGION;
+    if (!CALENDAR_REGIONS[calendarRegion]) {
+        throw new Error(`неизвестный регион календаря: ${calendarRegion}`);
+    }
+    
+    return {
+        salary: history.length > 0 ? [{ amount: salary, effective_date: null }, ...history] : salary,
+        schedule,
+        vacations,
+        calendar: {
+            source: state.calendarSource === 'isdayoff' ? 'isdayoff' : 'bundled',
+            region: calendarRegion
+        },
+        options: {
+            weeklyHours: WEEKLY_HOURS_NORMS.includes(weeklyHours) ? weeklyHours : DEFAULT_WEEKLY_HOURS,
+            prorationBasis: state.prorateByHours ? 'hours' : 'days',
+            salaryMode: state.salaryMode === 'gross' ? 'gross' : 'net',
+            sickLeavePercent: parseInt(state.sickLeavePercent, 10) || 100,
+            advance,
+            bonuses: parseBonusText(state.bonuses || ''),
+            workLog: parseWorkLogText(state.workLog || ''),
+            workPattern
+        }
+    };
+}
+
+/**
+ * Список сценариев для сравнения: текущая форма и сохраненные профили
+ */
+function refreshScenarioList() {
+    const scenarioList = document.getElementById('scenarioList');
+    const checked = new Set(Array.from(scenarioList.querySelectorAll('input:checked')).map(input => input.value));
+    scenarioList.innerHTML = '';
+    
+    const options = [{ value: '', title: 'Текущие данные формы' }]
+        .concat(listProfiles().map(profile => ({ value: profile.name, title: profile.name })));
+    
+    for (const option of options) {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = option.value;
+        checkbox.checked = checked.has(option.value);
+        label.append(checkbox, option.title);
+        scenarioList.appendChild(label);
+    }
+}
+
+/**
+ * Расчет и сравнение отмеченных сценариев
+ */
+async function handleCompareScenarios() {
+    const selected = Array.from(document.querySelectorAll('#scenarioList input:checked')).map(input => input.value);
+    if (selected.length < 2) {
+        showError('Отметьте хотя бы два сценария для сравнения');
+        return;
+    }
+    if (selected.length > MAX_SCENARIOS) {
+        showError(`Можно сравнить не больше ${MAX_SCENARIOS} сценариев`);
+        return;
+    }
+    
+    const horizonError = getHorizonError();
+    if (horizonError) {
+        showError(horizonError);
+        return;
+    }
+    
+    if (calendarSource.value === 'file' && !currentCalendarDataset) {
+        showError('Загрузите файл производственного календаря или выберите другой источник');
+        return;
+    }
+    
+    const range = getDateRange();
+    const profiles = listProfiles();
+    // Текущие данные считаются по календарю формы (в том числе из файла),
+    // профили - по источнику и региону, с которыми они сохранены
+    const formCalendar = { source: calendarSource.value, region: calendarRegionSelect.value };
+    const scenarios = selected.map(value => value === ''
+        ? { name: 'Текущие данные', state: getFormState(), calendar: formCalendar }
+        : { name: value, state: profiles.find(p => p.name === value).state });
+    
+    showLoading();
+    hideError();
+    
+    let activeCalendar = formCalendar;
+    try {
+        for (const scenario of scenarios) {
+            let inputs;
+            try {
+                inputs = getScenarioInputs(scenario.state);
+            } catch (e) {
+                throw new Error(`сценарий "${scenario.name}": ${e.message}`);
+            }
+            
+            const calendar = scenario.calendar || inputs.calendar;
+            if (calendar.source !== activeCalendar.source || calendar.region !== activeCalendar.region) {
+                setCalendarSource(calendar.source, currentCalendarDataset, calendar.region);
+                activeCalendar = calendar;
+            }
+            scenario.payments = await calculateNextSalaries(
+                inputs.salary,
+                inputs.schedule,
+                getPaymentsCount(),
+                inputs.vacations,
+                { ...inputs.options, asOf: getAsOfDate(), range }
+            );
+        }
+        
+        const horizonEnd = range ? null : getCommonHorizonEnd(scenarios);
+        displayComparison(scenarios, compareScenarios(scenarios, horizonEnd), horizonEnd);
+    } catch (e) {
+        showError('Ошибка сравнения сценариев: ' + e.message);
+        console.error(e);
+    } finally {
+        if (activeCalendar !== formCalendar) {
+            setCalendarSource(formCalendar.source, currentCalendarDataset, formCalendar.region);
+        }
+        hideLoading();
+    }
+}
+
+/**
+ * Ячейка с разницей: зеленая, если больше базового сценария, красная - если меньше
+ */
+function formatDifferenceCell(amount) {
+    const className = amount > 0 ? 'diff-positive' : (amount < 0 ? 'diff-negative' : '');
+    return `<td class="${className}">${amount === 0 ? '—' : formatSignedAmount(amount)}</td>`;
+}
+
+/**
+ * Таблица сравнения сценариев
+ */
+function displayComparison(scenarios, comparison, horizonEnd) {
+    const range = getDateRange();
+    document.getElementById('comparisonTitle').textContent = range
+        ? `⚖️ Сравнение сценариев за ${formatDate(range.start)} - ${formatDate(range.end)}`
+        : '⚖️ Сравнение сценариев';
+    
+    document.getElementById('comparisonSummary').innerHTML = scenarios.map((scenario, index) => `
+        <div class="summary-item">
+            <span class="label">${index === 0 ? '📌' : '🔀'} ${escapeXml(scenario.name)}:</span>
+            <span class="value">${formatNumber(comparison.totals[index])} ₽${index > 0 ? ` (${formatSignedAmount(comparison.differences[index])})` : ''}</span>
+        </div>
+    `).join('');
+    
+    const headers = scenarios.map((scenario, index) => index === 0
+        ? `<th>${escapeXml(scenario.name)}</th>`
+        : `<th>${escapeXml(scenario.name)}</th><th>Δ</th><th>Σ</th>`).join('');
+    document.getElementById('comparisonHead').innerHTML = `<tr><th>Дата</th>${headers}</tr>`;
+    
+    document.getElementById('comparisonBody').innerHTML = comparison.rows.map(row => {
+        const cells = scenarios.map((scenario, index) => {
+            const title = row.payments[index].map(describePaymentType).join(', ');
+            const amountCell = `<td title="${title}">${row.amounts[index] === null ? '—' : `${formatNumber(row.amounts[index])} ₽`}</td>`;
+            return index === 0
+                ? amountCell
+                : amountCell + formatDifferenceCell(row.differences[index]) + formatDifferenceCell(row.cumulative[index]);
+        }).join('');
+        return `<tr><td>${formatDate(row.date)}</td>${cells}</tr>`;
+    }).join('');
+    
+    const totalCells = scenarios.map((scenario, index) => {
+        const totalCell = `<td>${formatNumber(comparison.totals[index])} ₽</td>`;
+        return index === 0 ? totalCell : totalCell + formatDifferenceCell(comparison.differences[index]) + '<td></td>';
+    }).join('');
+    document.getElementById('comparisonFoot').innerHTML = `<tr><td>Итого</td>${totalCells}</tr>`;
+    
+    const horizonNote = document.getElementById('comparisonHorizonNote');
+    if (horizonEnd) {
+        horizonNote.textContent = `📌 Сравнение по ${formatDate(horizonEnd)} - дальше графики части сценариев еще не рассчитаны`;
+        horizonNote.style.display = 'block';
+    } else {
+        horizonNote.style.display = 'none';
+    }
+    
+    formSection.style.display = 'none';
+    document.getElementById('comparisonSection').style.display = 'block';
+    resetBtn.style.display = 'block';
+}
+
+/**
+ * Отображение результатов
+ */
+function displayResults(salaries) {
+    currentPayments = salaries;
+    
+    // Обновляем summary
+    const salaryModeText = currentSalaryMode === 'gross' ? 'до вычета НДФЛ' : 'на руки';
+    document.getElementById('summarySalary').textContent = `${describeSalaryHistory()} (${salaryModeText})`;
+    document.getElementById('summaryPaymentDays').textContent = describePaySchedule(currentSchedule);
+    document.getElementById('summaryAdvanceText').textContent = describeAdvance(getCalculationOptions().advance);
+    document.getElementById('summaryAsOf').textContent = formatDate(getAsOfDate());
+    document.getElementById('summaryWorkPattern').style.display = currentWorkPattern ? 'flex' : 'none';
+    if (currentWorkPattern) {
+        document.getElementById('summaryWorkPatternText').textContent =
+            describeWorkPattern(currentWorkPattern, getCalculationOptions().weeklyHours);
+    }
+    
+    const range = getDateRange();
+    document.getElementById('resultsTitle').textContent = range
+        ? `💵 Выплаты за период ${formatDate(range.start)} - ${formatDate(range.end)}`
+        : `💵 Ближайшие зарплаты: ${getPaymentsCount()}`;
+    document.getElementById('holidayShiftNote').textContent = currentSchedule.holidayShift === HOLIDAY_SHIFT.NEXT
+        ? '⚠️ Если день выплаты - выходной, выплата переносится на следующий рабочий день'
+        : '⚠️ Если день выплаты - выходной, выплата переносится на предыдущий рабочий день';
+    
+    if (currentBonuses.length > 0) {
+        document.getElementById('summaryBonuses').style.display = 'flex';
+        document.getElementById('summaryBonusesText').textContent = currentBonuses.map(describeBonus).join('; ');
+    } else {
+        document.getElementById('summaryBonuses').style.display = 'none';
+    }
+    
+    // Итого по показанным выплатам; премии в составе зарплат указаны в режиме оклада
+    const total = salaries.reduce((sum, s) => sum + s.amount, 0);
+    const bonusesTotal = salaries.reduce((sum, s) => {
+        if (s.type === 'bonus') return sum + (currentSalaryMode === 'gross' ? s.gross : s.amount);
+        return sum + (s.additions || []).filter(a => a.type === 'bonus').reduce((acc, a) => acc + a.amount, 0);
+    }, 0);
+    const bonusesModeText = currentSalaryMode === 'gross' ? ' до вычета НДФЛ' : '';
+    document.getElementById('summaryTotal').textContent = bonusesTotal > 0
+        ? `${formatNumber(total)} ₽ (в т.ч. премии ${formatNumber(bonusesTotal)} ₽${bonusesModeText})`
+        : `${formatNumber(total)} ₽`;
+    
+    if (currentVacations.length > 0) {
+        document.getElementById('summaryVacations').style.display = 'flex';
+        document.getElementById('summaryVacationsCount').textContent = formatAbsenceCounts(currentVacations);
+    } else {
+        document.getElementById('summaryVacations').style.display = 'none';
+    }
+    
+    // Отображаем список зарплат
+    const salariesList = document.getElementById('salariesList');
+    salariesList.innerHTML = '';
+    renderPaymentItems(salariesList, salaries);
+    
+    // Источник календаря для периода расчета
+    const rangeStart = salaries.reduce((min, s) => {
+        const start = s.period_start || s.vacation_start || s.date;
+        return start < min ? start : min;
+    }, salaries[0].date);
+    const rangeEnd = salaries[salaries.length - 1].date;
+    document.getElementById('calendarSourceNote').textContent = formatCalendarSources(getCalendarSources(rangeStart, rangeEnd));
+    
+    // Показываем секцию результатов
+    formSection.style.display = 'none';
+    resultsSection.style.display = 'block';
+    resetBtn.style.display = 'block';
+}
+
+/**
+ * Карточки выплат в списке
+ * payslipOptions - сотрудник для расчетных листков (по умолчанию - из формы)
+ */
+function renderPaymentItems(list, payments, payslipOptions = null) {
+    payments.forEach(payment => {
+        let item;
+        if (payment.type === 'vacation_pay') {
+            item = createVacationPayItem(payment);
+        } else if (payment.type === 'sick_pay_social_fund') {
+            item = createSocialFundItem(payment);
+        } else if (payment.type === 'bonus') {
+            item = createBonusItem(payment);
+        } else {
+            item = createSalaryItem(payment);
+        }
+        appendPaymentItem(list, item, payment, payslipOptions);
+    });
+}
+
+/**
+ * Карточка зарплаты или аванса
+ */
+function createSalaryItem(salaryData) {
+    const date = salaryData.date;
+    const amount = salaryData.amount;
+    const workedDays = salaryData.worked_days;
+    const periodStart = salaryData.period_start;
+    const periodEnd = salaryData.period_end;
+    const vacationDaysDeducted = salaryData.vacation_days_deducted || 0;
+    
+    const monthName = MONTHS_RU[date.getMonth() + 1] || '';
+    const startMonthName = MONTHS_RU[periodStart.getMonth() + 1] || '';
+    const endMonthName = MONTHS_RU[periodEnd.getMonth() + 1] || '';
+    
+    const salaryItem = document.createElement('div');
+    salaryItem.className = 'salary-item';
+    
+    let workedDaysText = `${workedDays} рабочих дней`;
+    if (vacationDaysDeducted > 0) {
+        const deductedParts = Object.entries(salaryData.absence_days_by_type || {})
+            .filter(([, days]) => days > 0)
+            .map(([type, days]) => `-${days} рабочих дней - ${ABSENCE_TYPE_NAMES[type]}`);
+        workedDaysText += ` (${deductedParts.join(', ')})`;
+    }
+    
+    // Аванс / окончательный расчет при фиксированном авансе
+    let kindDetail = '';
+    if (salaryData.payment_kind === 'final' && salaryData.month_total !== null) {
+        kindDetail = `
+            <div class="salary-detail">
+                <span class="label">${PAYMENT_KIND_NAMES.final}:</span>
+                <span class="value">${formatNumber(salaryData.month_total)} ₽ за месяц - ${formatNumber(salaryData.advance_deducted)} ₽ аванс</span>
+            </div>`;
+    } else if (salaryData.payment_kind === 'advance' && salaryData.advance_method !== ADVANCE_METHODS.PROPORTIONAL) {
+        kindDetail = `
+            <div class="salary-detail">
+                <span class="label">${PAYMENT_KIND_NAMES.advance}:</span>
+                <span class="value">${salaryData.advance_method === ADVANCE_METHODS.PERCENT ? 'процент оклада' : 'фиксированная сумма'}, с учетом отработанных дней</span>
+            </div>`;
+    }
+    
+    // Доплаты в составе выплаты (больничный и т.п.)
+    const additionsDetails = (salaryData.additions || []).map(addition => `
+            <div class="salary-detail">
+                <span class="label">${escapeXml(addition.title)}:</span>
+                <span class="value">${formatNumber(addition.amount)} ₽${describeAddition(addition)}</span>
+            </div>`).join('');
+    
+    const ndflRatesText = formatNdflRates(salaryData.ndfl_rates);
+    
+    // Смешанный расчет, если оклад менялся внутри периода
+    let segmentsDetail = '';
+    if ((salaryData.salary_segments || []).length > 1) {
+        const unit = salaryData.proration_basis === 'hours' ? 'ч' : 'дн.';
+        const parts = salaryData.salary_segments.map(segment => {
+            const units = salaryData.proration_basis === 'hours' ? formatNumber(segment.hours, 1) : segment.days;
+            return `${units} ${unit} × ${formatNumber(segment.rate, 2)} ₽ (оклад ${formatNumber(segment.salary)} ₽) = ${formatNumber(segment.amount)} ₽`;
+        });
+        segmentsDetail = `
+            <div class="salary-detail">
+                <span class="label">Оклад менялся:</span>
+                <span class="value">${parts.join(' + ')}</span>
+            </div>`;
+    }
+    
+    let hoursDetail = '';
+    if (salaryData.proration_basis === 'hours') {
+        hoursDetail = `
+            <div class="salary-detail">
+                <span class="label">Часы:</span>
+                <span class="value">${formatNumber(salaryData.worked_hours, 1)} из ${formatNumber(salaryData.total_hours, 1)} ч (${salaryData.summarized_hours ? 'норма месяца по производственному календарю' : 'норма месяца'})</span>
+            </div>`;
+    }
+    
+    salaryItem.innerHTML = `
+        <div class="salary-item-header">
+            <div class="salary-date">${date.getDate()} ${monthName}</div>
+            <div class="salary-amount">${formatNumber(amount)} ₽</div>
+        </div>
+        <div class="salary-details">
+            <div class="salary-detail">
+                <span class="label">За период:</span>
+                <span class="value">${periodStart.getDate()} ${startMonthName} - ${periodEnd.getDate()} ${endMonthName}</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Отработано:</span>
+                <span class="value">${workedDaysText}</span>
+            </div>${hoursDetail}${segmentsDetail}${kindDetail}${additionsDetails}
+            <div class="salary-detail">
+                <span class="label">Начислено:</span>
+                <span class="value">${formatNumber(salaryData.gross)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">НДФЛ (${ndflRatesText}):</span>
+                <span class="value">${formatNumber(salaryData.ndfl)} ₽</span>
+            </div>
+        </div>
+    `;
+    
+    return salaryItem;
+}
+
+/**
+ * Выгрузка графика выплат в .ics
+ */
+function handleExportIcs() {
+    if (currentPayments.length === 0) return;
+    
+    const ics = buildPaymentsCalendar(currentPayments, {
+        includeVacationPay: icsVacationPayCheckbox.checked,
+        includeSickPay: icsSickPayCheckbox.checked,
+        absences: icsAbsencesCheckbox.checked ? currentVacations : []
+    });
+    downloadFile(ics, 'salary-schedule.ics', 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Выгрузка графика выплат в CSV
+ */
+function handleExportCsv() {
+    if (currentPayments.length === 0) return;
+    downloadFile(buildScheduleCsv(currentPayments), 'salary-schedule.csv', 'text/csv;charset=utf-8');
+}
+
+/**
+ * Выгрузка графика выплат в XLSX
+ */
+function handleExportXlsx() {
+    if (currentPayments.length === 0) return;
+    downloadFile(
+        buildScheduleXlsx(currentPayments),
+        'salary-schedule.xlsx',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+}
+
+/**
+ * Расчетные листки в отдельном окне для печати или сохранения в PDF
+ * payslipOptions - { salary, salaryMode, employeeName }, по умолчанию - из формы
+ */
+function openPayslips(payments, payslipOptions = null) {
+    if (payments.length === 0) return;
+    
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showError('Браузер заблокировал окно с расчетными листками. Разрешите всплывающие окна для этой страницы');
+        return;
+    }
+    
+    printWindow.document.write(buildPayslipDocument(payments, payslipOptions || {
+        salary: getSalaryOnDate(normalizeSalaryHistory(getSalaryTimeline()), getAsOfDate()),
+        salaryMode: currentSalaryMode
+    }));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+/**
+ * Скачивание сформированного файла
+ */
+function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Чтение текстового файла
+ */
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Ошибка чтения файла'));
+        reader.readAsText(file, 'UTF-8');
+    });
+}
+
+/**
+ * Добавление карточки выплаты в список: отметка о выплате и кнопка расчетного листка
+ */
+function appendPaymentItem(list, item, payment, payslipOptions = null) {
+    markPaidItem(item, payment);
+    
+    const payslipBtn = document.createElement('button');
+    payslipBtn.type = 'button';
+    payslipBtn.className = 'payslip-btn';
+    payslipBtn.textContent = '🖨 Расчетный листок';
+    payslipBtn.addEventListener('click', () => openPayslips([payment], payslipOptions));
+    item.appendChild(payslipBtn);
+    
+    list.appendChild(item);
+}
+
+/**
+ * Отметка уже выплаченной (на дату расчета) выплаты
+ */
+function markPaidItem(item, payment) {
+    if (payment.paid) {
+        item.classList.add('paid');
+        const badge = document.createElement('div');
+        badge.className = 'paid-badge';
+        badge.textContent = '✓ Выплачено';
+        item.querySelector('.salary-item-header').after(badge);
+    }
+    return item;
+}
+
+/**
+ * Итоги по месяцам: график и таблица
+ */
+async function displayMonthlyTotals(salaries) {
+    const section = document.getElementById('monthlyTotalsSection');
+    const months = await summarizeMonthlyTotals(salaries, currentVacations);
+    if (months.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    document.getElementById('incomeChart').innerHTML = buildIncomeChartSvg(months);
+    
+    document.getElementById('monthlyTotalsBody').innerHTML = months.map(month => {
+        const marks = [];
+        if (month.vacationDays > 0) marks.push(`🏖 отпуск ${month.vacationDays} дн.`);
+        if (month.holidays.length > 0) marks.push(`🎉 праздники: ${month.holidays.map(h => h.getDate()).join(', ')}`);
+        
+        return `
+            <tr>
+                <td>${formatCalendarMonthTitle(month.month)}</td>
+                <td>${month.count}</td>
+                <td>${formatNumber(month.amount)} ₽</td>
+                <td>${formatNumber(month.ndfl)} ₽</td>
+                <td>${formatNumber(month.cumulative)} ₽</td>
+                <td>${marks.join('; ')}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    section.style.display = 'block';
+}
+
+/**
+ * Параметры остатка отпуска из формы или null, если дата приема не указана
+ * Проверяются до расчета, чтобы ошибка не появилась поверх готовых результатов
+ */
+function getLeaveSettings() {
+    if (!hireDateInput.value) {
+        return null;
+    }
+    
+    const balanceText = leaveBalanceInput.value.trim().replace(',', '.');
+    const openingBalance = balanceText ? Number(balanceText) : null;
+    if (balanceText && isNaN(openingBalance)) {
+        throw new Error(`неверный остаток: ${leaveBalanceInput.value}`);
+    }
+    
+    const settings = {
+        hireDate: keyToDate(hireDateInput.value),
+        openingBalance,
+        extraDays: Number(extraLeaveInput.value) || 0
+    };
+    validateLeaveSettings(settings, getAsOfDate());
+    
+    return settings;
+}
+
+/**
+ * Дни отпуска: "2,33", "28"
+ */
+function formatLeaveDays(days) {
+    return formatNumber(days, Number.isInteger(days) ? 0 : 2);
+}
+
+/**
+ * Остаток отпуска на даты начислений и отпусков
+ */
+async function displayLeaveBalance(salaries) {
+    const section = document.getElementById('leaveBalanceSection');
+    if (!currentLeaveSettings) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const asOf = getAsOfDate();
+    const range = getDateRange();
+    const until = range ? range.end : salaries[salaries.length - 1].date;
+    const leave = await trackLeaveBalance(currentLeaveSettings, currentVacations, asOf, until);
+    
+    document.getElementById('leaveBalanceSummary').textContent =
+        `На ${formatDate(asOf)}: ${formatLeaveDays(leave.openingBalance)} дн.`
+        + (currentLeaveSettings.openingBalance === null ? ' (от даты приема)' : '')
+        + `, начисляется ${formatLeaveDays(leave.accrualPerMonth)} дн. за каждый месяц работы. `
+        + `На ${formatDate(until)}: ${formatLeaveDays(leave.balanceAt(until))} дн.`;
+    
+    document.getElementById('leaveBalanceWarnings').innerHTML = leave.vacations
+        .filter(vacation => vacation.exceeds)
+        .map(vacation => `<li>⚠️ Отпуск ${formatDate(vacation.start_date)} - ${formatDate(vacation.end_date)}: `
+            + `${vacation.days} дн., а к его началу накоплено ${formatLeaveDays(vacation.balanceBefore)} дн. `
+            + `(не хватает ${formatLeaveDays(-vacation.balanceAfter)})</li>`)
+        .join('');
+    
+    document.getElementById('leaveBalanceTableBody').innerHTML = leave.timeline.map(entry => {
+        const event = entry.type === 'accrual'
+            ? 'Начисление за месяц работы'
+            : `Отпуск до ${formatDate(entry.vacation.end_date)}`
+                + (entry.vacation.holidays > 0 ? ` (праздники не в счет: ${entry.vacation.holidays})` : '');
+        const change = `${entry.change > 0 ? '+' : ''}${formatLeaveDays(Math.round(entry.change * 100) / 100)}`;
+        return `
+            <tr>
+                <td>${formatDate(entry.date)}</td>
+                <td>${event}</td>
+                <td>${change}</td>
+                <td class="${entry.balance < 0 ? 'balance-negative' : ''}">${formatLeaveDays(entry.balance)}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    section.style.display = 'block';
+}
+
+/**
+ * Прогноз остатка с учетом регулярных расходов
+ */
+function displayBudget(salaries) {
+    const section = document.getElementById('budgetSection');
+    if (currentExpenses.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const asOf = getAsOfDate();
+    const range = getDateRange();
+    const start = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + 1);
+    const end = range ? range.end : salaries[salaries.length - 1].date;
+    if (end < start) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const budget = projectDailyBalance(currentStartingBalance, salaries, currentExpenses, start, end, currentSchedule);
+    
+    const coverage = budget.coveredUntil === null
+        ? 'остаток отрицательный уже с первого дня'
+        : (budget.deficits.length === 0
+            ? 'денег хватает на весь период'
+            : `денег хватает до ${formatDate(budget.coveredUntil)}`);
+    const incomeShare = budget.totalExpenses > 0
+        ? `, поступления покрывают ${formatNumber(budget.totalIncome / budget.totalExpenses * 100)}% расходов`
+        : '';
+    document.getElementById('budgetSummary').textContent =
+        `${formatDate(start)} - ${formatDate(end)}: поступления ${formatNumber(budget.totalIncome)} ₽, `
+        + `расходы ${formatNumber(budget.totalExpenses)} ₽${incomeShare}. `
+        + `Минимальный остаток ${formatNumber(budget.lowest.balance)} ₽ (${formatDate(budget.lowest.date)}), ${coverage}`;
+    
+    document.getElementById('budgetDeficits').innerHTML = budget.deficits.map(deficit => {
+        const period = dateToKey(deficit.start) === dateToKey(deficit.end)
+            ? formatDate(deficit.start)
+            : `${formatDate(deficit.start)} - ${formatDate(deficit.end)}`;
+        const notes = deficit.notes.length > 0 ? ` (${deficit.notes.join('; ')})` : '';
+        return `<li>⚠️ ${period}: остаток до ${formatNumber(deficit.lowest)} ₽${escapeXml(notes)}</li>`;
+    }).join('');
+    
+    // В таблице - только дни с движением денег
+    document.getElementById('budgetTableBody').innerHTML = budget.days
+        .filter(day => day.payments.length > 0 || day.expenses.length > 0)
+        .map(day => {
+            const incomeText = day.payments.length > 0
+                ? `${formatNumber(day.income)} ₽ (${day.payments.map(describePaymentType).join(', ')})`
+                : '';
+            const outflowText = day.expenses.length > 0
+                ? `${formatNumber(day.outflow)} ₽ (${day.expenses.map(e => e.category).join(', ')})`
+                : '';
+            return `
+                <tr>
+                    <td>${formatDate(day.date)}</td>
+                    <td>${escapeXml(incomeText)}</td>
+                    <td>${escapeXml(outflowText)}</td>
+                    <td class="${day.balance < 0 ? 'balance-negative' : ''}">${formatNumber(day.balance)} ₽</td>
+                </tr>
+            `;
+        }).join('');
+    
+    section.style.display = 'block';
+}
+
+/**
+ * Сверка выписки с выплатами, рассчитанными за период выписки
+ */
+async function displayReconciliation(statement) {
+    const section = document.getElementById('reconciliationSection');
+    if (statement.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    const reconciliationOptions = getReconciliationOptions();
+    const first = statement[0].date;
+    const last = statement[statement.length - 1].date;
+    const windowDays = reconciliationOptions.windowDays;
+    
+    const expected = await calculateNextSalaries(getSalaryTimeline(), currentSchedule, 5, currentVacations, {
+        ...getCalculationOptions(),
+        range: {
+            start: new Date(first.getFullYear(), first.getMonth(), first.getDate() - windowDays),
+            end: new Date(last.getFullYear(), last.getMonth(), last.getDate() + windowDays)
+        }
+    });
+    
+    const rows = reconcilePayments(expected, statement, reconciliationOptions);
+    const summary = summarizeReconciliation(rows);
+    
+    document.getElementById('reconciliationSummary').textContent =
+        `Ожидалось ${formatNumber(summary.expected_total)} ₽, поступило ${formatNumber(summary.actual_total, 2)} ₽ ` +
+        `(разница ${formatSignedAmount(summary.difference)}). ` +
+        `Совпало: ${summary.counts.matched}, расхождений: ${summary.counts.difference}, ` +
+        `не поступило: ${summary.counts.missing}, лишних: ${summary.counts.extra}. ` +
+        `Допуск ${formatNumber(reconciliationOptions.tolerance)} ₽, окно ±${windowDays} дн.`;
+    
+    const tbody = document.getElementById('reconciliationTableBody');
+    tbody.innerHTML = '';
+    
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        const expectedText = row.expected
+            ? `${formatDate(row.expected.date)} · ${describePaymentType(row.expected)}`
+            : '—';
+        const actualText = row.actual
+            ? `${formatDate(row.actual.date)}${row.actual.description ? ' · ' + escapeXml(row.actual.description) : ''}`
+            : '—';
+        
+        tr.innerHTML = `
+            <td>${expectedText}</td>
+            <td>${row.expected ? formatNumber(row.expected.amount) + ' ₽' : '—'}</td>
+            <td></td>
+            <td>${row.actual ? formatNumber(row.actual.amount, 2) + ' ₽' : '—'}</td>
+            <td>${formatSignedAmount(row.difference)}${row.days_offset ? ` (${row.days_offset > 0 ? '+' : ''}${row.days_offset} дн.)` : ''}</td>
+            <td class="status-${row.status}">${RECONCILIATION_STATUS_NAMES[row.status]}</td>
+        `;
+        // Описание из выписки - пользовательский текст, вставляем без разметки
+        tr.children[2].textContent = actualText;
+        tbody.appendChild(tr);
+    }
+    
+    section.style.display = 'block';
+}
+
+/**
+ * Название вида рассчитанной выплаты для таблицы сверки (готово для вставки в HTML)
+ */
+function describePaymentType(payment) {
+    if (payment.type === 'vacation_pay') return 'отпускные';
+    if (payment.type === 'sick_pay_social_fund') return 'больничный (СФР)';
+    if (payment.type === 'bonus') return escapeXml(payment.title.toLowerCase());
+    return PAYMENT_KIND_NAMES[payment.payment_kind] ? PAYMENT_KIND_NAMES[payment.payment_kind].toLowerCase() : 'зарплата';
+}
+
+/**
+ * Сумма со знаком: "+1 200 ₽", "-350 ₽"
+ */
+function formatSignedAmount(amount) {
+    const decimals = Number.isInteger(amount) ? 0 : 2;
+    return `${amount > 0 ? '+' : ''}${formatNumber(amount, decimals)} ₽`;
+}
+
+/**
+ * Карточка выплаты отпускных
+ */
+function createVacationPayItem(payment) {
+    const date = payment.date;
+    const start = payment.vacation_start;
+    const end = payment.vacation_end;
+    
+    let paidDaysText = `${payment.paid_days} календарных дней`;
+    if (payment.holidays_excluded > 0) {
+        paidDaysText += ` (исключено праздничных дней: ${payment.holidays_excluded})`;
+    }
+    
+    const item = document.createElement('div');
+    item.className = 'salary-item vacation-pay-item';
+    item.innerHTML = `
+        <div class="salary-item-header">
+            <div class="salary-date">${date.getDate()} ${MONTHS_RU[date.getMonth() + 1]}</div>
+            <div class="salary-amount">${formatNumber(payment.amount)} ₽</div>
+        </div>
+        <div class="salary-type">🏖 Отпускные</div>
+        <div class="salary-details">
+            <div class="salary-detail">
+                <span class="label">Отпуск:</span>
+                <span class="value">${start.getDate()} ${MONTHS_RU[start.getMonth() + 1]} - ${end.getDate()} ${MONTHS_RU[end.getMonth() + 1]}</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Оплачивается:</span>
+                <span class="value">${paidDaysText}</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Средний дневной заработок:</span>
+                <span class="value">${formatNumber(payment.average_daily_earnings, 2)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Начислено:</span>
+                <span class="value">${formatNumber(payment.gross)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">НДФЛ (${formatNdflRates(payment.ndfl_rates)}):</span>
+                <span class="value">${formatNumber(payment.ndfl)} ₽</span>
+            </div>
+        </div>
+    `;
+    
+    return item;
+}
+
+/**
+ * Пояснение к доплате в составе зарплаты: дни больничного или период премии
+ */
+function describeAddition(addition) {
+    if (addition.type === 'bonus') {
+        return ` (за ${formatDate(addition.start_date)} - ${formatDate(addition.end_date)})`;
+    }
+    if (addition.type === 'overtime' || addition.type === 'accounting_overtime') {
+        const parts = [`${formatNumber(addition.first_hours, 1)} ч × ${OVERTIME_FIRST_HOURS_MULTIPLIER}`];
+        if (addition.next_hours > 0) {
+            parts.push(`${formatNumber(addition.next_hours, 1)} ч × ${OVERTIME_NEXT_HOURS_MULTIPLIER}`);
+        }
+        const when = addition.type === 'overtime'
+            ? formatDate(addition.date)
+            : `${formatDate(addition.start_date)} - ${formatDate(addition.end_date)}`;
+        return ` (${when}: ${parts.join(' + ')} по ${formatNumber(addition.hourly_rate, 2)} ₽/ч)`;
+    }
+    if (addition.type === 'holiday_work') {
+        const timeOffText = addition.time_off ? ', с отгулом' : '';
+        return ` (${formatDate(addition.date)}: ${formatNumber(addition.hours, 1)} ч × ${addition.multiplier} по ${formatNumber(addition.hourly_rate, 2)} ₽/ч${timeOffText})`;
+    }
+    return ` (${addition.days} дн. × ${addition.percent}%)`;
+}
+
+/**
+ * Карточка премии или разовой выплаты
+ */
+function createBonusItem(payment) {
+    const date = payment.date;
+    const periodDetail = payment.period_start ? `
+            <div class="salary-detail">
+                <span class="label">За период:</span>
+                <span class="value">${formatDate(payment.period_start)} - ${formatDate(payment.period_end)}</span>
+            </div>` : '';
+    
+    const item = document.createElement('div');
+    item.className = 'salary-item bonus-item';
+    item.innerHTML = `
+        <div class="salary-item-header">
+            <div class="salary-date">${date.getDate()} ${MONTHS_RU[date.getMonth() + 1]}</div>
+            <div class="salary-amount">${formatNumber(payment.amount)} ₽</div>
+        </div>
+        <div class="salary-type">🎁 ${escapeXml(payment.title)}</div>
+        <div class="salary-details">${periodDetail}
+            <div class="salary-detail">
+                <span class="label">Начислено:</span>
+                <span class="value">${formatNumber(payment.gross)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">НДФЛ (${formatNdflRates(payment.ndfl_rates)}):</span>
+                <span class="value">${formatNumber(payment.ndfl)} ₽</span>
+            </div>
+        </div>
+    `;
+    
+    return item;
+}
+
+/**
+ * Карточка выплаты пособия по больничному от Социального фонда
+ */
+function createSocialFundItem(payment) {
+    const date = payment.date;
+    const start = payment.sick_start;
+    const end = payment.sick_end;
+    
+    const item = document.createElement('div');
+    item.className = 'salary-item social-fund-item';
+    item.innerHTML = `
+        <div class="salary-item-header">
+            <div class="salary-date">${date.getDate()} ${MONTHS_RU[date.getMonth() + 1]}</div>
+            <div class="salary-amount">${formatNumber(payment.amount)} ₽</div>
+        </div>
+        <div class="salary-type">🤒 Больничный от Социального фонда</div>
+        <div class="salary-details">
+            <div class="salary-detail">
+                <span class="label">Больничный:</span>
+                <span class="value">${start.getDate()} ${MONTHS_RU[start.getMonth() + 1]} - ${end.getDate()} ${MONTHS_RU[end.getMonth() + 1]}</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Оплачивается:</span>
+                <span class="value">${payment.paid_days} календарных дней × ${payment.tenure_percent}%</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Средний дневной заработок:</span>
+                <span class="value">${formatNumber(payment.average_daily_earnings, 2)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">Начислено:</span>
+                <span class="value">${formatNumber(payment.gross)} ₽</span>
+            </div>
+            <div class="salary-detail">
+                <span class="label">НДФЛ (${formatNdflRates(payment.ndfl_rates)}):</span>
+                <span class="value">${formatNumber(payment.ndfl)} ₽</span>
+            </div>
+        </div>
+    `;
+    
+    return item;
+}
+
+/**
+ * Строка отсутствия для текстового поля: "01.03.2025-05.03.2025 больничный"
+ */
+function formatAbsenceLine(absence) {
+    const start = formatDate(absence.start_date);
+    const end = formatDate(absence.end_date);
+    const range = start === end ? start : `${start}-${end}`;
+    
+    if (!absence.type || absence.type === 'vacation') {
+        return range;
+    }
+    return `${range} ${ABSENCE_TYPE_NAMES[absence.type]}`;
+}
+
+/**
+ * Количество отсутствий по типам: "2 (отпуск: 1, больничный: 1)"
+ */
+function formatAbsenceCounts(absences) {
+    const counts = {};
+    for (const absence of absences) {
+        const type = absence.type || 'vacation';
+        counts[type] = (counts[type] || 0) + 1;
+    }
+    
+    const parts = Object.entries(counts).map(([type, count]) => `${ABSENCE_TYPE_NAMES[type]}: ${count}`);
+    return `${absences.length} (${parts.join(', ')})`;
+}
+
+/**
+ * Ставки НДФЛ выплаты: "13%" или "13% → 15%" при переходе порога
+ */
+function formatNdflRates(rates) {
+    return (rates || []).map(rate => `${Math.round(rate * 100)}%`).join(' → ');
+}
+
+/**
+ * Описание источников календаря для подвала результатов
+ */
+function formatCalendarSources(sources) {
+    const region = getCalendarRegion();
+    if (sources.length === 0) {
+        return `🔧 Расчет по производственному календарю: ${region.name}`;
+    }
+    
+    const parts = sources.map(source => {
+        let text = source.name;
+        if (source.version) {
+            text += `, версия ${source.version}`;
+        }
+        // Уточняем месяцы, если источников несколько
+        if (sources.length > 1) {
+            text += ` (${source.months.join(', ')})`;
+        }
+        return text;
+    });
+    
+    return `🔧 Календарь (${region.name}): ${parts.join('; ')}`;
+}
+
+/**
+ * Расчет стоимости часа для месяца даты расчета
+ */
+async function calculateHourlyRate() {
+    try {
+        const today = getAsOfDate();
+        
         const currentMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
         const currentMonthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
         
         // Загружаем рабочие дни текущего месяца
         await loadWorkingDaysBatch(currentMonthStart, currentMonthEnd);
         
-        // Считаем количество рабочих дней в текущем месяце
-        const workingDaysInCurrentMonth = await countWorkingDays(currentMonthStart, currentMonthEnd, null);
+        // Стоимость часа по месячной норме часов (с учетом предпраздничных дней)
+        const { weeklyHours, workPattern } = getCalculationOptions();
+        const salary = getSalaryOnDate(normalizeSalaryHistory(getSalaryTimeline()), today);
+        const rates = await calculateHourlyRates(salary, today.getFullYear(), today.getMonth() + 1, weeklyHours, workPattern);
         
-        if (workingDaysInCurrentMonth > 0) {
-            const hourlyRate = (currentSalary / workingDaysInCurrentMonth) / 8;
-            const overtimeRate = hourlyRate * 1.5;
-            
-            document.getElementById('hourlyRate').textContent = formatNumber(hourlyRate, 2) + ' ₽';
-            document.getElementById('overtimeRate').textContent = formatNumber(overtimeRate, 2) + ' ₽';
+        // При суммированном учете - часы по графику против нормы учетного периода
+        const accountingPeriodRow = document.getElementById('accountingPeriodRow');
+        accountingPeriodRow.style.display = 'none';
+        if (workPattern && workPattern.summarizedHours) {
+            const period = await calculateAccountingPeriodHours(today, workPattern, weeklyHours, currentVacations);
+            document.getElementById('accountingPeriodHours').textContent =
+                `${formatDate(period.start)} - ${formatDate(period.end)}: по графику ${formatNumber(period.scheduled_hours, 1)} ч`
+                + ` при норме ${formatNumber(period.norm_hours, 1)} ч`
+                + (period.overtime_hours > 0 ? `, переработка ${formatNumber(period.overtime_hours, 1)} ч` : '');
+            accountingPeriodRow.style.display = 'flex';
+        }
+        
+        if (rates.norm_hours > 0) {
+            const daysName = workPattern && workPattern.type === WORK_PATTERN_TYPES.ROTA ? 'смен' : 'рабочих дней';
+            document.getElementById('normHours').textContent = `${formatNumber(rates.norm_hours, 1)} ч (${rates.working_days} ${daysName}, ${weeklyHours} ч/нед)`;
+            document.getElementById('hourlyRate').textContent = formatNumber(rates.hourly_rate, 2) + ' ₽';
+            document.getElementById('overtimeRate').textContent = formatNumber(rates.overtime_rate, 2) + ' ₽';
+            document.getElementById('overtimeRateNext').textContent = formatNumber(rates.overtime_rate_next, 2) + ' ₽';
+            document.getElementById('hourlyRateTitle').textContent =
+                `⏰ Стоимость рабочего времени (${MONTHS_RU_NOMINATIVE[today.getMonth()]} ${today.getFullYear()})`;
             document.getElementById('hourlyRateSection').style.display = 'block';
         }
     } catch (e) {
@@ -284,15 +2798,88 @@ async function calculateHourlyRate() {
  */
 function handleReset() {
     currentSalary = null;
+    currentSalaryHistory = [];
+    currentBonuses = [];
+    currentWorkLog = [];
+    currentWorkPattern = null;
+    currentExpenses = [];
+    currentStartingBalance = 0;
+    currentLeaveSettings = null;
     currentVacations = [];
+    currentPayments = [];
+    setSalaryMode('net');
     salaryInput.value = '';
     vacationInput.value = '';
     vacationFile.value = '';
     fileName.textContent = '';
+    displayVacationDiagnostics(analyzeVacationText(''));
+    clearTimeout(calendarPaymentsTimer);
+    vacationCalendar.setPayments([]);
+    vacationCalendar.setAbsences([]);
+    vacationCalendar.setMonth(new Date());
+    plannerDaysInput.value = '7';
+    hireDateInput.value = '';
+    leaveBalanceInput.value = '';
+    extraLeaveInput.value = '0';
+    plannerResults.innerHTML = '';
+    salaryHistoryInput.value = '';
+    salaryHistoryGroup.style.display = 'none';
+    bonusInput.value = '';
+    bonusGroup.style.display = 'none';
     vacationGroup.style.display = 'none';
+    calendarGroup.style.display = 'none';
+    if (calendarRegionSelect.value !== DEFAULT_CALENDAR_REGION) {
+        calendarRegionSelect.value = DEFAULT_CALENDAR_REGION;
+        handleCalendarSourceChange();
+    }
+    workTimeGroup.style.display = 'none';
+    weeklyHoursSelect.value = String(DEFAULT_WEEKLY_HOURS);
+    prorateByHoursCheckbox.checked = false;
+    workPatternSelect.value = WORK_PATTERN_TYPES.STANDARD;
+    document.querySelectorAll('input[name="workWeekday"]').forEach(input => {
+        input.checked = Number(input.value) <= 5;
+    });
+    rotaInput.value = '';
+    rotaStartInput.value = '';
+    shiftHoursInput.value = '';
+    partTimeInput.value = '1';
+    summarizedHoursCheckbox.checked = false;
+    accountingPeriodSelect.value = '1';
+    handleWorkPatternChange();
+    workLogInput.value = '';
+    sickLeavePercentSelect.value = '100';
+    scheduleGroup.style.display = 'none';
+    advanceMethodSelect.value = ADVANCE_METHODS.PROPORTIONAL;
+    handleAdvanceMethodChange();
+    dateGroup.style.display = 'none';
+    asOfInput.value = dateToKey(new Date());
+    resetPlannerWindow();
+    viewModeSelect.value = FORECAST_HORIZONS.UPCOMING;
+    paymentsCountInput.value = String(DEFAULT_FORECAST_PAYMENTS);
+    rangeStartInput.value = '';
+    rangeEndInput.value = '';
+    handleViewModeChange();
+    reconcileGroup.style.display = 'none';
+    statementInput.value = '';
+    statementFile.value = '';
+    statementFileName.textContent = '';
+    toleranceInput.value = String(RECONCILIATION_DEFAULTS.tolerance);
+    windowDaysInput.value = String(RECONCILIATION_DEFAULTS.windowDays);
+    document.getElementById('reconciliationSection').style.display = 'none';
+    budgetGroup.style.display = 'none';
+    expensesInput.value = '';
+    startingBalanceInput.value = '';
+    comparisonGroup.style.display = 'none';
+    document.getElementById('comparisonSection').style.display = 'none';
+    teamInput.value = '';
+    teamFile.value = '';
+    teamFileName.textContent = '';
+    setAppMode('single');
+    clearStateHash();
     calculateBtn.disabled = true;
     formSection.style.display = 'block';
     resultsSection.style.display = 'none';
+    teamResultsSection.style.display = 'none';
     resetBtn.style.display = 'none';
     hideError();
     hideLoading();
@@ -301,13 +2888,39 @@ function handleReset() {
     window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+// Пометки режима суммы в тексте зарплаты
+const SALARY_MODE_MARKERS = {
+    gross: /(?:gross|брутто|грязными|до вычета(?: ндфл)?|до налогов?)/g,
+    net: /(?:net|нетто|чистыми|на руки|после вычета(?: ндфл)?|после налогов?)/g
+};
+
+/**
+ * Определить режим суммы по пометке в тексте: 'gross', 'net' или null
+ */
+function detectSalaryMode(text) {
+    if (!text) return null;
+    
+    const textLower = text.toLowerCase();
+    for (const mode in SALARY_MODE_MARKERS) {
+        if (textLower.match(SALARY_MODE_MARKERS[mode])) {
+            return mode;
+        }
+    }
+    
+    return null;
+}
+
 /**
  * Парсинг суммы зарплаты с множителями
+ * Пометки режима ("gross", "на руки") игнорируются - их разбирает detectSalaryMode
  */
 function parseSalaryAmount(text) {
     if (!text) return null;
     
-    const textLower = text.toLowerCase().trim();
+    let textLower = text.toLowerCase().trim();
+    for (const mode in SALARY_MODE_MARKERS) {
+        textLower = textLower.replace(SALARY_MODE_MARKERS[mode], '').trim();
+    }
     let multiplier = 1;
     let processedText = textLower;
     
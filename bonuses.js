@@ -0,0 +1,146 @@
+/**
+ * Премии и разовые выплаты
+ *
+ * Премия - { title, frequency, amount, payout, date }:
+ * frequency - 'monthly' | 'quarterly' | 'annual' | 'once',
+ * amount - { type: 'fixed' | 'percent', value } (процент - от месячного оклада на конец периода премии),
+ * payout - { day, monthsAfter }: выплата вместе с зарплатой в день day (число, 'last' или null -
+ * первая выплата месяца) через monthsAfter месяцев после окончания периода,
+ * date - дата разовой выплаты (только для 'once')
+ *
+ * Суммы указываются в том же режиме, что и оклад (на руки или до вычета НДФЛ)
+ */
+
+// Периодичность премий
+const BONUS_FREQUENCIES = {
+    MONTHLY: 'monthly',
+    QUARTERLY: 'quarterly',
+    ANNUAL: 'annual',
+    ONCE: 'once'
+};
+
+// Длина периода премии в месяцах
+const BONUS_PERIOD_MONTHS = {
+    monthly: 1,
+    quarterly: 3,
+    annual: 12
+};
+
+// Названия периодичности для сводки и по умолчанию для премий без названия
+const BONUS_FREQUENCY_NAMES = {
+    monthly: 'Ежемесячная премия',
+    quarterly: 'Квартальная премия',
+    annual: 'Годовая премия',
+    once: 'Разовая выплата'
+};
+
+// Слова, которыми можно указать периодичность в тексте
+const BONUS_FREQUENCY_ALIASES = {
+    monthly: ['ежемесячная', 'ежемесячно', 'месячная', 'monthly'],
+    quarterly: ['квартальная', 'ежеквартальная', 'ежеквартально', 'quarterly'],
+    annual: ['годовая', 'ежегодная', 'ежегодно', '13-я', 'annual'],
+    once: ['разовая', 'разово', 'единовременная', 'once']
+};
+
+// По умолчанию премия приходит с первой выплатой месяца, следующего за периодом
+const DEFAULT_BONUS_PAYOUT = { day: null, monthsAfter: 1 };
+
+/**
+ * Периодичность по слову из текста или null
+ */
+function findBonusFrequency(word) {
+    const wordLower = word.toLowerCase();
+    for (const frequency in BONUS_FREQUENCY_ALIASES) {
+        if (BONUS_FREQUENCY_ALIASES[frequency].includes(wordLower)) {
+            return frequency;
+        }
+    }
+    return null;
+}
+
+/**
+ * Проверка премии; возвращает премию в нормализованном виде
+ */
+function validateBonus(bonus) {
+    if (!Object.values(BONUS_FREQUENCIES).includes(bonus.frequency)) {
+        throw new Error(`неизвестная периодичность премии: ${bonus.frequency}`);
+    }
+
+    const amount = bonus.amount || {};
+    if (!['fixed', 'percent'].includes(amount.type) || !(amount.value > 0)) {
+        throw new Error('сумма премии должна быть положительной: фиксированной или в процентах оклада');
+    }
+
+    if (bonus.frequency === BONUS_FREQUENCIES.ONCE) {
+        if (!(bonus.date instanceof Date) || isNaN(bonus.date.getTime())) {
+            throw new Error('для разовой выплаты нужна дата');
+        }
+    }
+
+    const payout = { ...DEFAULT_BONUS_PAYOUT, ...(bonus.payout || {}) };
+    if (payout.day !== null && !isValidScheduleDay(payout.day)) {
+        throw new Error(`неверный день выплаты премии: ${payout.day}`);
+    }
+    if (!Number.isInteger(payout.monthsAfter) || payout.monthsAfter < 0 || payout.monthsAfter > 12) {
+        throw new Error('выплата премии - от 0 до 12 месяцев после окончания периода');
+    }
+
+    return {
+        title: bonus.title || BONUS_FREQUENCY_NAMES[bonus.frequency],
+        frequency: bonus.frequency,
+        amount: { type: amount.type, value: amount.value },
+        payout,
+        date: bonus.date || null
+    };
+}
+
+/**
+ * Период премии, которая выплачивается в указанном месяце, или null, если в этом месяце ее нет
+ * Кварталы и год - календарные
+ */
+function getBonusAccrualPeriod(bonus, payoutYear, payoutMonthNum) {
+    const periodMonths = BONUS_PERIOD_MONTHS[bonus.frequency];
+    const periodEndMonth = new Date(payoutYear, payoutMonthNum - 1 - bonus.payout.monthsAfter, 1);
+
+    if ((periodEndMonth.getMonth() + 1) % periodMonths !== 0) {
+        return null;
+    }
+
+    return {
+        start: new Date(periodEndMonth.getFullYear(), periodEndMonth.getMonth() - periodMonths + 1, 1),
+        end: new Date(periodEndMonth.getFullYear(), periodEndMonth.getMonth() + 1, 0)
+    };
+}
+
+/**
+ * Сумма премии: фиксированная или процент оклада, действующего на конец периода
+ */
+function calculateBonusAmount(bonus, salaryHistory, periodEnd) {
+    if (bonus.amount.type === 'percent') {
+        return Math.round(getSalaryOnDate(salaryHistory, periodEnd) * bonus.amount.value / 100);
+    }
+    return Math.round(bonus.amount.value);
+}
+
+/**
+ * Краткое описание премии для сводки
+ */
+function describeBonus(bonus) {
+    const amountText = bonus.amount.type === 'percent'
+        ? `${bonus.amount.value}% оклада`
+        : `${bonus.amount.value.toLocaleString('ru-RU')} ₽`;
+
+    if (bonus.frequency === BONUS_FREQUENCIES.ONCE) {
+        const date = bonus.date;
+        return `${bonus.title}: ${amountText}, ${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}.${date.getFullYear()}`;
+    }
+
+    const dayText = bonus.payout.day === null
+        ? 'с первой выплатой'
+        : `с выплатой ${bonus.payout.day === 'last' ? 'в последний день' : bonus.payout.day + ' числа'}`;
+    const monthText = bonus.payout.monthsAfter === 0
+        ? 'в последний месяц периода'
+        : `через ${bonus.payout.monthsAfter} мес. после периода`;
+
+    return `${bonus.title}: ${amountText}, ${dayText} ${monthText}`;
+}
@@ -0,0 +1,179 @@
+/**
+ * Бюджет: регулярные расходы против графика выплат
+ *
+ * Расход - { day, amount, category }: day - число месяца (в коротком месяце -
+ * последний день) или 'last'. Прогноз остатка строится по дням от начального остатка
+ * на дату расчета; поступления - выплаты из calculateNextSalaries. В один день
+ * сначала учитываются поступления, потом расходы
+ */
+
+const MAX_BUDGET_EXPENSES = 50;
+
+/**
+ * Проверка расхода; возвращает расход в нормализованном виде
+ */
+function validateExpense(expense) {
+    const day = expense.day;
+    if (day !== 'last' && !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+        throw new Error('день расхода - число от 1 до 31 или "последний"');
+    }
+    if (!(expense.amount > 0)) {
+        throw new Error('сумма расхода должна быть положительной');
+    }
+
+    return {
+        day,
+        amount: expense.amount,
+        category: (expense.category || '').trim() || 'Расход'
+    };
+}
+
+/**
+ * Даты регулярных расходов в периоде [start, end]: [{ date, amount, category }] по возрастанию
+ */
+function expandRecurringExpenses(expenses, start, end) {
+    if (expenses.length > MAX_BUDGET_EXPENSES) {
+        throw new Error(`слишком много расходов (максимум ${MAX_BUDGET_EXPENSES})`);
+    }
+
+    const result = [];
+    for (let month = new Date(start.getFullYear(), start.getMonth(), 1); month <= end; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        for (const expense of expenses) {
+            const date = new Date(month.getFullYear(), month.getMonth(),
+                resolveScheduleDay(expense.day, month.getFullYear(), month.getMonth() + 1));
+            if (date >= start && date <= end) {
+                result.push({ date, amount: expense.amount, category: expense.category });
+            }
+        }
+    }
+
+    return result.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * День выплаты по основным правилам графика, если в этом месяце его заменяет особое правило
+ * (monthOverrides); особые правила сопоставляются с основными по порядку дней.
+ * null, если месяц обычный или правила не сопоставить
+ */
+function getBaseScheduleDay(payment, schedule, monthNum) {
+    if (!schedule || !schedule.monthOverrides || !schedule.monthOverrides[monthNum]) {
+        return null;
+    }
+
+    const overrideRules = getPaymentRulesForMonth(schedule, monthNum);
+    const baseRules = getPaymentRulesForMonth({ payments: schedule.payments }, monthNum);
+    const index = overrideRules.findIndex(rule => rule.day === payment.schedule_day);
+    if (overrideRules.length !== baseRules.length || index === -1) {
+        return null;
+    }
+    return baseRules[index].day;
+}
+
+/**
+ * Пометки к выплате, объясняющие нехватку денег: перенос особым правилом графика
+ * (в декабре 26 числа вместо 29), перенос с выходного и удержание за отпуск
+ */
+function describeBudgetPaymentNotes(payment, schedule = null) {
+    const notes = [];
+    if (payment.type !== 'salary') {
+        return notes;
+    }
+
+    const formatKey = (date) => dateToKey(date).split('-').reverse().join('.');
+    const [year, month] = payment.schedule_month.split('-').map(Number);
+    const scheduled = new Date(year, month - 1, resolveScheduleDay(payment.schedule_day, year, month));
+    const baseDay = getBaseScheduleDay(payment, schedule, month);
+    if (baseDay !== null && baseDay !== payment.schedule_day) {
+        const base = new Date(year, month - 1, resolveScheduleDay(baseDay, year, month));
+        notes.push(`выплата перенесена графиком с ${formatKey(base)} на ${formatKey(scheduled)}`);
+    }
+    if (dateToKey(scheduled) !== dateToKey(payment.date)) {
+        notes.push(`выплата ${formatKey(scheduled)} перенесена на ${formatKey(payment.date)} из-за выходного`);
+    }
+    if (payment.vacation_days_deducted > 0) {
+        notes.push(`из выплаты ${formatKey(payment.date)} вычтено ${payment.vacation_days_deducted} раб. дн. отсутствия`);
+    }
+
+    return notes;
+}
+
+/**
+ * Прогноз остатка по дням с начала start до конца end
+ * schedule - график выплат, по которому рассчитаны payments (для пояснений к дефициту)
+ *
+ * Возвращает {
+ *   days: [{ date, income, outflow, balance, payments, expenses }] - каждый день периода,
+ *   deficits: [{ start, end, lowest, lowestDate, notes }] - дни подряд с отрицательным остатком,
+ *   lowest: { date, balance } - минимальный остаток,
+ *   totalIncome, totalExpenses,
+ *   coveredUntil - последний день перед первым уходом в минус (end, если денег хватает на весь период;
+ *   null, если остаток отрицательный с первого дня)
+ * }
+ */
+function projectDailyBalance(startBalance, payments, expenses, start, end, schedule = null) {
+    if (start > end) {
+        throw new Error('период прогноза заканчивается раньше, чем начинается');
+    }
+
+    const outflows = expandRecurringExpenses(expenses, start, end);
+    const incomes = payments.filter(p => p.date >= start && p.date <= end);
+
+    const days = [];
+    let balance = startBalance;
+    for (let date = new Date(start); date <= end; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+        const key = dateToKey(date);
+        const dayPayments = incomes.filter(p => dateToKey(p.date) === key);
+        const dayExpenses = outflows.filter(e => dateToKey(e.date) === key);
+        const income = dayPayments.reduce((sum, p) => sum + p.amount, 0);
+        const outflow = dayExpenses.reduce((sum, e) => sum + e.amount, 0);
+        balance += income - outflow;
+
+        days.push({ date, income, outflow, balance: Math.round(balance), payments: dayPayments, expenses: dayExpenses });
+    }
+
+    const deficits = [];
+    let lowest = days[0];
+    days.forEach((day, index) => {
+        if (day.balance < lowest.balance) {
+            lowest = day;
+        }
+        if (day.balance >= 0) {
+            return;
+        }
+
+        const current = deficits[deficits.length - 1];
+        if (current && dateToKey(current.end) === dateToKey(days[index - 1].date)) {
+            current.end = day.date;
+            if (day.balance < current.lowest) {
+                current.lowest = day.balance;
+                current.lowestDate = day.date;
+            }
+        } else {
+            deficits.push({ start: day.date, end: day.date, lowest: day.balance, lowestDate: day.date });
+        }
+    });
+
+    // Причины дефицита - у последней выплаты перед ним и первой выплаты после его начала
+    for (const deficit of deficits) {
+        const before = incomes.filter(p => p.date < deficit.start).slice(-1);
+        const after = incomes.filter(p => p.date >= deficit.start).slice(0, 1);
+        deficit.notes = [...before, ...after].flatMap(payment => describeBudgetPaymentNotes(payment, schedule));
+    }
+
+    let coveredUntil = end;
+    if (deficits.length > 0) {
+        const firstDeficit = deficits[0].start;
+        coveredUntil = dateToKey(firstDeficit) === dateToKey(start)
+            ? null
+            : new Date(firstDeficit.getFullYear(), firstDeficit.getMonth(), firstDeficit.getDate() - 1);
+    }
+
+    return {
+        days,
+        deficits,
+        lowest: { date: lowest.date, balance: lowest.balance },
+        totalIncome: Math.round(incomes.reduce((sum, p) => sum + p.amount, 0)),
+        totalExpenses: Math.round(outflows.reduce((sum, e) => sum + e.amount, 0)),
+        coveredUntil
+    };
+}
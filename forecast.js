@@ -0,0 +1,190 @@
+/**
+ * Горизонт прогноза выплат, итоги по месяцам и график дохода
+ *
+ * Горизонт задает, какие выплаты показывать: N ближайших зарплат, до конца года,
+ * 12 или 24 месяца после даты расчета или произвольный период.
+ * График рисуется в SVG без внешних сервисов: столбцы - выплаты за месяц,
+ * линия - нарастающий итог, отмечены месяцы отпусков и праздничные дни
+ */
+
+const FORECAST_HORIZONS = {
+    UPCOMING: 'upcoming',
+    YEAR_END: 'year_end',
+    MONTHS_12: 'months_12',
+    MONTHS_24: 'months_24',
+    RANGE: 'range'
+};
+
+const DEFAULT_FORECAST_PAYMENTS = 5;
+const MAX_FORECAST_PAYMENTS = 60;
+
+// Размеры графика в единицах viewBox; ширина растягивается по контейнеру
+const INCOME_CHART_SIZE = { width: 720, height: 260, top: 24, right: 56, bottom: 44, left: 56 };
+
+/**
+ * Период для горизонта "до конца года" / "12 месяцев" / "24 месяца" от даты расчета
+ * Выплаты в дату расчета считаются прошедшими, поэтому период начинается на следующий день.
+ * Для "N ближайших" и произвольного периода возвращает null
+ */
+function getHorizonRange(horizon, asOf) {
+    const start = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + 1);
+
+    if (horizon === FORECAST_HORIZONS.YEAR_END) {
+        const yearEnd = new Date(asOf.getFullYear(), 11, 31);
+        return { start, end: start > yearEnd ? start : yearEnd };
+    }
+    if (horizon === FORECAST_HORIZONS.MONTHS_12 || horizon === FORECAST_HORIZONS.MONTHS_24) {
+        const months = horizon === FORECAST_HORIZONS.MONTHS_12 ? 12 : 24;
+        return { start, end: new Date(asOf.getFullYear(), asOf.getMonth() + months, asOf.getDate()) };
+    }
+    return null;
+}
+
+/**
+ * Итоги по месяцам выплаты: [{ month, amount, gross, ndfl, count, cumulative, vacationDays, holidays }]
+ *
+ * Месяцы идут подряд от первой до последней выплаты, месяцы без выплат - с нулями.
+ * vacationDays - дни отпусков (ABSENCE_TYPES.VACATION) в месяце,
+ * holidays - даты нерабочих праздников по производственному календарю
+ */
+async function summarizeMonthlyTotals(payments, vacations = []) {
+    if (payments.length === 0) {
+        return [];
+    }
+
+    const first = payments.reduce((min, p) => p.date < min ? p.date : min, payments[0].date);
+    const last = payments.reduce((max, p) => p.date > max ? p.date : max, payments[0].date);
+    const firstMonth = new Date(first.getFullYear(), first.getMonth(), 1);
+    const lastMonth = new Date(last.getFullYear(), last.getMonth(), 1);
+    await loadWorkingDaysBatch(firstMonth, new Date(last.getFullYear(), last.getMonth() + 1, 0));
+
+    const vacationRanges = vacations.filter(v => (v.type || ABSENCE_TYPES.VACATION) === ABSENCE_TYPES.VACATION);
+    const months = [];
+    let cumulative = 0;
+
+    for (let month = firstMonth; month <= lastMonth; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        const monthPayments = payments.filter(p =>
+            p.date.getFullYear() === month.getFullYear() && p.date.getMonth() === month.getMonth());
+        const amount = monthPayments.reduce((sum, p) => sum + p.amount, 0);
+        cumulative += amount;
+
+        const holidays = [];
+        let vacationDays = 0;
+        const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= lastDay; day++) {
+            const date = new Date(month.getFullYear(), month.getMonth(), day);
+            if ((await getDayInfo(date)).type === DAY_TYPES.HOLIDAY) {
+                holidays.push(date);
+            }
+            if (findAbsenceAt(vacationRanges, date)) {
+                vacationDays++;
+            }
+        }
+
+        months.push({
+            month,
+            amount: Math.round(amount),
+            gross: Math.round(monthPayments.reduce((sum, p) => sum + (p.gross || 0), 0)),
+            ndfl: Math.round(monthPayments.reduce((sum, p) => sum + (p.ndfl || 0), 0)),
+            count: monthPayments.length,
+            cumulative: Math.round(cumulative),
+            vacationDays,
+            holidays
+        });
+    }
+
+    return months;
+}
+
+/**
+ * Подпись суммы на оси: "120к", "1,2 млн"
+ */
+function formatChartAmount(amount) {
+    if (amount >= 1000000) {
+        return `${(amount / 1000000).toFixed(1).replace('.0', '').replace('.', ',')} млн`;
+    }
+    if (amount >= 1000) {
+        return `${Math.round(amount / 1000)}к`;
+    }
+    return String(Math.round(amount));
+}
+
+/**
+ * Округление максимума шкалы вверх до "круглого" числа (1, 2, 5 × 10^n)
+ */
+function getChartScaleMax(value) {
+    if (value <= 0) {
+        return 1;
+    }
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * power >= value);
+    return step * power;
+}
+
+/**
+ * SVG-график по итогам месяцев (см. summarizeMonthlyTotals)
+ * Левая шкала - выплаты за месяц (столбцы), правая - нарастающий итог (линия)
+ */
+function buildIncomeChartSvg(months) {
+    const { width, height, top, right, bottom, left } = INCOME_CHART_SIZE;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+    const slot = plotWidth / months.length;
+    const barWidth = Math.max(Math.min(slot * 0.6, 40), 2);
+
+    const amountMax = getChartScaleMax(Math.max(...months.map(m => m.amount)));
+    const cumulativeMax = getChartScaleMax(months[months.length - 1].cumulative);
+    const yAmount = (value) => top + plotHeight - value / amountMax * plotHeight;
+    const yCumulative = (value) => top + plotHeight - value / cumulativeMax * plotHeight;
+    const xCenter = (index) => left + slot * index + slot / 2;
+
+    const parts = [];
+
+    // Сетка и подписи шкал
+    const GRID_LINES = 4;
+    for (let i = 0; i <= GRID_LINES; i++) {
+        const y = top + plotHeight * i / GRID_LINES;
+        parts.push(`<line class="chart-grid" x1="${left}" y1="${y}" x2="${width - right}" y2="${y}"/>`);
+        parts.push(`<text class="chart-axis" x="${left - 6}" y="${y + 4}" text-anchor="end">${formatChartAmount(amountMax * (GRID_LINES - i) / GRID_LINES)}</text>`);
+        parts.push(`<text class="chart-axis chart-axis-cumulative" x="${width - right + 6}" y="${y + 4}">${formatChartAmount(cumulativeMax * (GRID_LINES - i) / GRID_LINES)}</text>`);
+    }
+
+    // Подписи месяцев реже, если месяцев много
+    const labelEvery = Math.ceil(months.length / 12);
+
+    months.forEach((month, index) => {
+        const name = MONTHS_RU_NOMINATIVE[month.month.getMonth()];
+        const title = `${formatCalendarMonthTitle(month.month)}: ${month.amount.toLocaleString('ru-RU')} ₽`
+            + (month.vacationDays > 0 ? `, отпуск ${month.vacationDays} дн.` : '')
+            + (month.holidays.length > 0 ? `, праздников: ${month.holidays.length}` : '');
+
+        if (month.vacationDays > 0) {
+            parts.push(`<rect class="chart-vacation" x="${left + slot * index}" y="${top}" width="${slot}" height="${plotHeight}"><title>${title}</title></rect>`);
+        }
+
+        const barTop = yAmount(month.amount);
+        parts.push(`<rect class="chart-bar" x="${xCenter(index) - barWidth / 2}" y="${barTop}" width="${barWidth}" height="${top + plotHeight - barTop}"><title>${title}</title></rect>`);
+
+        // Праздники - отметки под осью в позиции дня внутри месяца
+        const daysInMonth = new Date(month.month.getFullYear(), month.month.getMonth() + 1, 0).getDate();
+        for (const holiday of month.holidays) {
+            const x = left + slot * index + slot * (holiday.getDate() - 0.5) / daysInMonth;
+            parts.push(`<circle class="chart-holiday" cx="${x}" cy="${top + plotHeight + 5}" r="2"><title>Праздник ${dateToKey(holiday).split('-').reverse().join('.')}</title></circle>`);
+        }
+
+        if (index % labelEvery === 0) {
+            const year = index === 0 || month.month.getMonth() === 0 ? ` ${String(month.month.getFullYear()).slice(2)}` : '';
+            parts.push(`<text class="chart-label" x="${xCenter(index)}" y="${height - bottom + 22}" text-anchor="middle">${name.slice(0, 3)}${year}</text>`);
+        }
+    });
+
+    const points = months.map((month, index) => `${xCenter(index)},${yCumulative(month.cumulative)}`).join(' ');
+    parts.push(`<polyline class="chart-line" points="${points}"/>`);
+    months.forEach((month, index) => {
+        parts.push(`<circle class="chart-point" cx="${xCenter(index)}" cy="${yCumulative(month.cumulative)}" r="3"><title>Нарастающим итогом: ${month.cumulative.toLocaleString('ru-RU')} ₽</title></circle>`);
+    });
+
+    parts.push(`<line class="chart-axis-line" x1="${left}" y1="${top + plotHeight}" x2="${width - right}" y2="${top + plotHeight}"/>`);
+
+    return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Выплаты по месяцам">${parts.join('')}</svg>`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Экспорт графика выплат в iCalendar (RFC 5545)
+ *
+ * Каждая выплата - событие на весь день с суммой в заголовке.
+ * UID строится из вида выплаты и оплачиваемого периода, поэтому повторный импорт
+ * обновляет события, а не дублирует их (даже если сумма или дата выплаты изменились)
+ */
+
+const ICS_PRODUCT_ID = '-//salary-calculator//Payment schedule//RU';
+const ICS_UID_DOMAIN = 'salary-calculator';
+const ICS_MAX_LINE_OCTETS = 75;
+
+// Подписи отсутствий для событий календаря
+const ICS_ABSENCE_TITLES = {
+    vacation: '🏖 Отпуск',
+    sick: '🤒 Больничный',
+    unpaid: '📝 Отпуск за свой счет'
+};
+
+/**
+ * Дата в формате iCalendar: 20250314
+ */
+function formatIcsDate(date) {
+    return dateToKey(date).replace(/-/g, '');
+}
+
+/**
+ * Момент времени в UTC: 20250314T093000Z
+ */
+function formatIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Экранирование текстового значения (п. 3.3.11 RFC 5545)
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Перенос длинной строки: не больше 75 октетов, продолжение начинается с пробела
+ * Многобайтовые символы UTF-8 не разрываются
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        // У строк продолжения первый октет занимает пробел
+        const limit = parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Сумма для заголовка события: "52 174 ₽"
+ */
+function formatIcsAmount(amount) {
+    return `${Math.round(amount).toLocaleString('ru-RU')} ₽`;
+}
+
+/**
+ * Дата для описания события: 14.03.2025
+ */
+function formatIcsDisplayDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}.${date.getFullYear()}`;
+}
+
+/**
+ * Событие на весь день (или на несколько дней, если указан end)
+ */
+function buildIcsEvent({ uid, start, end, summary, description, dtstamp }) {
+    const endExclusive = new Date((end || start).getFullYear(), (end || start).getMonth(), (end || start).getDate() + 1);
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${formatIcsDate(start)}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(endExclusive)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Событие для выплаты из calculateNextSalaries; null, если выплату не экспортируем
+ */
+function buildPaymentEvent(payment, options, dtstamp) {
+    const lines = [];
+    let uid, summary;
+
+    if (payment.type === 'vacation_pay') {
+        if (!options.includeVacationPay) {
+            return null;
+        }
+        uid = `vacation-pay-${dateToKey(payment.vacation_start)}`;
+        summary = `🏖 Отпускные ${formatIcsAmount(payment.amount)}`;
+        lines.push(`Отпуск: ${formatIcsDisplayDate(payment.vacation_start)} - ${formatIcsDisplayDate(payment.vacation_end)}`);
+        lines.push(`Оплачивается: ${payment.paid_days} календарных дней`);
+    } else if (payment.type === 'bonus') {
+        // Разовые выплаты без периода различаем по дате
+        const periodKey = payment.period_start
+            ? `${dateToKey(payment.period_start)}-${dateToKey(payment.period_end)}`
+            : dateToKey(payment.date);
+        const titleKey = payment.title.toLowerCase().replace(/[^a-zа-яё0-9]+/gi, '-').replace(/^-|-$/g, '');
+        uid = `bonus-${payment.frequency}-${periodKey}-${titleKey}`;
+        summary = `🎁 ${payment.title} ${formatIcsAmount(payment.amount)}`;
+        if (payment.period_start) {
+            lines.push(`За период: ${formatIcsDisplayDate(payment.period_start)} - ${formatIcsDisplayDate(payment.period_end)}`);
+        }
+    } else if (payment.type === 'sick_pay_social_fund') {
+        if (!options.includeSickPay) {
+            return null;
+        }
+        uid = `sick-pay-${dateToKey(payment.sick_start)}`;
+        summary = `🤒 Больничный (СФР) ${formatIcsAmount(payment.amount)}`;
+        lines.push(`Больничный: ${formatIcsDisplayDate(payment.sick_start)} - ${formatIcsDisplayDate(payment.sick_end)}`);
+        lines.push(`Оплачивается: ${payment.paid_days} календарных дней × ${payment.tenure_percent}%`);
+    } else {
+        uid = `salary-${dateToKey(payment.period_start)}-${dateToKey(payment.period_end)}`;
+        summary = `💰 Зарплата ${formatIcsAmount(payment.amount)}`;
+        lines.push(`Период: ${formatIcsDisplayDate(payment.period_start)} - ${formatIcsDisplayDate(payment.period_end)}`);
+        lines.push(`Отработано: ${payment.worked_days} из ${payment.total_days} рабочих дней месяца`);
+        for (const addition of payment.additions || []) {
+            lines.push(`${addition.title}: ${formatIcsAmount(addition.amount)}`);
+        }
+    }
+
+    if (payment.gross !== undefined) {
+        lines.push(`Начислено: ${formatIcsAmount(payment.gross)}, НДФЛ: ${formatIcsAmount(payment.ndfl)}`);
+    }
+
+    return buildIcsEvent({ uid, start: payment.date, summary, description: lines.join('\n'), dtstamp });
+}
+
+/**
+ * Календарь выплат в формате iCalendar
+ *
+ * options.includeVacationPay - добавить выплаты отпускных
+ * options.includeSickPay - добавить пособия по больничному от Социального фонда
+ * options.absences - отпуска и больничные, которые нужно добавить отдельными событиями
+ * options.calendarName - название календаря в клиенте
+ */
+function buildPaymentsCalendar(payments, options = {}) {
+    const dtstamp = formatIcsTimestamp(options.now || new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(options.calendarName || 'Зарплата')}`
+    ];
+
+    for (const payment of payments) {
+        const event = buildPaymentEvent(payment, options, dtstamp);
+        if (event) {
+            lines.push(...event);
+        }
+    }
+
+    for (const absence of options.absences || []) {
+        lines.push(...buildIcsEvent({
+            uid: `absence-${absence.type}-${dateToKey(absence.start_date)}`,
+            start: absence.start_date,
+            end: absence.end_date,
+            summary: ICS_ABSENCE_TITLES[absence.type] || ICS_ABSENCE_TITLES.vacation,
+            description: `${formatIcsDisplayDate(absence.start_date)} - ${formatIcsDisplayDate(absence.end_date)}`,
+            dtstamp
+        }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
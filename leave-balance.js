@@ -0,0 +1,125 @@
+/**
+ * Остаток ежегодного оплачиваемого отпуска
+ *
+ * Отпуск накапливается по 28 календарных дней за рабочий год (ст. 115 ТК РФ) плюс
+ * дополнительный отпуск - по 1/12 за каждый полный месяц работы с даты приема.
+ * Дни отпуска - календарные без нерабочих праздников (ст. 120 ТК РФ).
+ * Учитываются только ежегодные отпуска: больничные и отпуска за свой счет остаток не тратят
+ */
+
+const ANNUAL_LEAVE_DAYS = 28;
+const MAX_EXTRA_LEAVE_DAYS = 60;
+
+/**
+ * Дней отпуска за полный месяц работы: 28 / 12 = 2,33
+ */
+function getLeaveAccrualPerMonth(extraDays = 0) {
+    return (ANNUAL_LEAVE_DAYS + extraDays) / 12;
+}
+
+/**
+ * Дата, когда исполняется months полных месяцев работы
+ * (при приеме 31-го числа в коротком месяце - последний день месяца)
+ */
+function getServiceMonthDate(hireDate, months) {
+    const lastDay = new Date(hireDate.getFullYear(), hireDate.getMonth() + months + 1, 0).getDate();
+    return new Date(hireDate.getFullYear(), hireDate.getMonth() + months, Math.min(hireDate.getDate(), lastDay));
+}
+
+/**
+ * Полных месяцев работы к дате
+ */
+function countServiceMonths(hireDate, date) {
+    if (date < hireDate) {
+        return 0;
+    }
+    let months = (date.getFullYear() - hireDate.getFullYear()) * 12 + date.getMonth() - hireDate.getMonth();
+    if (getServiceMonthDate(hireDate, months) > date) {
+        months--;
+    }
+    return months;
+}
+
+/**
+ * Проверка параметров остатка отпуска на дату расчета asOf
+ */
+function validateLeaveSettings(settings, asOf) {
+    const hireDate = settings.hireDate;
+    if (!(hireDate instanceof Date) || isNaN(hireDate.getTime())) {
+        throw new Error('не указана дата приема на работу');
+    }
+    if (hireDate > asOf) {
+        throw new Error('дата приема позже даты расчета');
+    }
+    const extraDays = settings.extraDays || 0;
+    if (!(extraDays >= 0 && extraDays <= MAX_EXTRA_LEAVE_DAYS)) {
+        throw new Error(`дополнительный отпуск - от 0 до ${MAX_EXTRA_LEAVE_DAYS} дней в год`);
+    }
+}
+
+/**
+ * Остаток отпуска по датам
+ *
+ * settings - { hireDate, openingBalance, extraDays }: openingBalance - остаток на дату asOf
+ * по данным кадров; null - посчитать от даты приема с учетом отпусков до asOf.
+ * Отпуск списывается с остатка в день начала; в этот день учитывается все накопленное к нему.
+ *
+ * Возвращает {
+ *   accrualPerMonth, openingBalance,
+ *   vacations: [{ start_date, end_date, days, holidays, balanceBefore, balanceAfter, exceeds }] - после asOf,
+ *   timeline: [{ date, type: 'accrual' | 'vacation', change, balance, vacation }] - по возрастанию даты до until,
+ *   balanceAt(date) - остаток на любую дату после asOf
+ * }
+ */
+async function trackLeaveBalance(settings, vacations, asOf, until) {
+    validateLeaveSettings(settings, asOf);
+    const hireDate = settings.hireDate;
+    const extraDays = settings.extraDays || 0;
+
+    const accrualPerMonth = getLeaveAccrualPerMonth(extraDays);
+    const annual = vacations
+        .filter(v => (v.type || ABSENCE_TYPES.VACATION) === ABSENCE_TYPES.VACATION && v.end_date >= hireDate)
+        .sort((a, b) => a.start_date - b.start_date);
+
+    const withDays = [];
+    for (const vacation of annual) {
+        const { paidDays, holidays } = await countVacationPaidDays(vacation.start_date, vacation.end_date);
+        withDays.push({ start_date: vacation.start_date, end_date: vacation.end_date, days: paidDays, holidays });
+    }
+
+    let openingBalance = settings.openingBalance;
+    if (openingBalance === null || openingBalance === undefined) {
+        const used = withDays.filter(v => v.start_date <= asOf).reduce((sum, v) => sum + v.days, 0);
+        openingBalance = Math.round((countServiceMonths(hireDate, asOf) * accrualPerMonth - used) * 100) / 100;
+    }
+
+    const openingMonths = countServiceMonths(hireDate, asOf);
+    const future = withDays.filter(v => v.start_date > asOf);
+    // Округляем до сотых, чтобы 12 × 2,33(3) давали ровно 28 дней
+    const balanceAt = (date) => Math.round((openingBalance
+        + (countServiceMonths(hireDate, date) - openingMonths) * accrualPerMonth
+        - future.filter(v => v.start_date <= date).reduce((sum, v) => sum + v.days, 0)) * 100) / 100;
+
+    const result = future.map(vacation => {
+        const balanceAfter = balanceAt(vacation.start_date);
+        const balanceBefore = balanceAfter + vacation.days;
+        return { ...vacation, balanceBefore, balanceAfter, exceeds: balanceAfter < 0 };
+    });
+
+    const lastDate = result.reduce((max, v) => v.start_date > max ? v.start_date : max, until);
+    const timeline = [];
+    for (let months = openingMonths + 1; getServiceMonthDate(hireDate, months) <= lastDate; months++) {
+        const date = getServiceMonthDate(hireDate, months);
+        const sameDayVacations = result.filter(v => dateToKey(v.start_date) === dateToKey(date));
+        const balance = balanceAt(date) + sameDayVacations.reduce((sum, v) => sum + v.days, 0);
+        timeline.push({ date, type: 'accrual', change: accrualPerMonth, balance, vacation: null });
+    }
+    for (const vacation of result) {
+        timeline.push({ date: vacation.start_date, type: 'vacation', change: -vacation.days, balance: vacation.balanceAfter, vacation });
+    }
+    // В один день сначала начисление, потом отпуск
+    const typeOrder = (entry) => entry.type === 'accrual' ? 0 : 1;
+    timeline.sort((a, b) => a.date - b.date || typeOrder(a) - typeOrder(b));
+
+    return { accrualPerMonth, openingBalance, vacations: result, timeline, balanceAt };
+}
@@ -0,0 +1,127 @@
+/**
+ * Расчет НДФЛ нарастающим итогом с начала календарного года
+ */
+
+/**
+ * Шкалы НДФЛ для резидентов (ст. 224 НК РФ)
+ * upTo - верхняя граница дохода с начала года, rate - ставка внутри ступени
+ */
+const NDFL_SCALES = [
+    {
+        fromYear: 2025,
+        brackets: [
+            { upTo: 2400000, rate: 0.13 },
+            { upTo: 5000000, rate: 0.15 },
+            { upTo: 20000000, rate: 0.18 },
+            { upTo: 50000000, rate: 0.20 },
+            { upTo: Infinity, rate: 0.22 }
+        ]
+    },
+    {
+        fromYear: 2021,
+        brackets: [
+            { upTo: 5000000, rate: 0.13 },
+            { upTo: Infinity, rate: 0.15 }
+        ]
+    },
+    {
+        fromYear: 0,
+        brackets: [
+            { upTo: Infinity, rate: 0.13 }
+        ]
+    }
+];
+
+/**
+ * Шкала НДФЛ, действующая в году
+ */
+function getNdflBrackets(year) {
+    return NDFL_SCALES.find(scale => year >= scale.fromYear).brackets;
+}
+
+/**
+ * НДФЛ с дохода нарастающим итогом с начала года (без округления)
+ */
+function calculateNdflCumulative(income, year) {
+    let tax = 0;
+    let lowerBound = 0;
+
+    for (const bracket of getNdflBrackets(year)) {
+        if (income <= lowerBound) {
+            break;
+        }
+        tax += (Math.min(income, bracket.upTo) - lowerBound) * bracket.rate;
+        lowerBound = bracket.upTo;
+    }
+
+    return tax;
+}
+
+/**
+ * Ставки НДФЛ, которые применяются к доходу между from и to (с начала года)
+ */
+function getNdflRatesApplied(from, to, year) {
+    const rates = [];
+    let lowerBound = 0;
+
+    for (const bracket of getNdflBrackets(year)) {
+        if (to > lowerBound && from < bracket.upTo) {
+            rates.push(bracket.rate);
+        }
+        lowerBound = bracket.upTo;
+    }
+
+    return rates;
+}
+
+/**
+ * НДФЛ, удерживаемый с выплаты, с учетом дохода с начала года
+ * Налог исчисляется в полных рублях (п. 6 ст. 52 НК РФ)
+ */
+function calculateNdflForPayment(gross, ytdGross, year) {
+    const taxBefore = Math.round(calculateNdflCumulative(ytdGross, year));
+    const taxAfter = Math.round(calculateNdflCumulative(ytdGross + gross, year));
+    return taxAfter - taxBefore;
+}
+
+/**
+ * Сумма до вычета НДФЛ, из которой после удержания остается net
+ */
+function grossUpNetPayment(net, ytdGross, year) {
+    // Доход после налога нарастающим итогом - кусочно-линейная функция, обращаем ее по ступеням
+    let remainingNet = net;
+    let income = ytdGross;
+
+    for (const bracket of getNdflBrackets(year)) {
+        if (income >= bracket.upTo) {
+            continue;
+        }
+
+        const netRoom = (bracket.upTo - income) * (1 - bracket.rate);
+        if (remainingNet <= netRoom) {
+            income += remainingNet / (1 - bracket.rate);
+            break;
+        }
+
+        remainingNet -= netRoom;
+        income = bracket.upTo;
+    }
+
+    return Math.round(income - ytdGross);
+}
+
+/**
+ * Разложение выплаты на начислено / НДФЛ / на руки
+ * salaryMode: 'gross' - amount до вычета НДФЛ, 'net' - amount на руки
+ */
+function splitPaymentTax(amount, ytdGross, year, salaryMode = 'net') {
+    const gross = salaryMode === 'gross' ? amount : grossUpNetPayment(amount, ytdGross, year);
+    const ndfl = salaryMode === 'gross' ? calculateNdflForPayment(gross, ytdGross, year) : gross - amount;
+
+    return {
+        gross,
+        ndfl,
+        net: gross - ndfl,
+        rates: getNdflRatesApplied(ytdGross, ytdGross + gross, year)
+    };
+}
@@ -0,0 +1,235 @@
+/**
+ * Правила графика выплат: дни выплат, оплачиваемые периоды и перенос с выходных
+ *
+ * Правило выплаты - { day, periodMonth, periodStart, periodEnd }:
+ * day - день выплаты (число или 'last'), periodMonth - смещение месяца периода
+ * относительно месяца выплаты (0 - текущий, -1 - предыдущий),
+ * periodStart/periodEnd - первый и последний день периода (число или 'last')
+ */
+
+// Перенос выплаты, выпавшей на выходной или праздник
+const HOLIDAY_SHIFT = {
+    PREVIOUS: 'previous',
+    NEXT: 'next'
+};
+
+// Названия месяцев для описания графика
+const MONTHS_RU_NOMINATIVE = [
+    'январь', 'февраль', 'март', 'апрель', 'май', 'июнь',
+    'июль', 'август', 'сентябрь', 'октябрь', 'ноябрь', 'декабрь'
+];
+
+// Встроенные графики выплат
+const PAY_SCHEDULE_PRESETS = {
+    standard: {
+        name: '14 и 29 числа (в декабре - 26 числа)',
+        holidayShift: HOLIDAY_SHIFT.PREVIOUS,
+        payments: [
+            { day: 14, periodMonth: -1, periodStart: 16, periodEnd: 'last' },
+            { day: 29, periodMonth: 0, periodStart: 1, periodEnd: 15 }
+        ],
+        monthOverrides: {
+            // 26 декабря - за 1-19 декабря, остаток декабря - 14 января
+            12: [
+                { day: 14, periodMonth: -1, periodStart: 16, periodEnd: 'last' },
+                { day: 26, periodMonth: 0, periodStart: 1, periodEnd: 19 }
+            ],
+            1: [
+                { day: 14, periodMonth: -1, periodStart: 20, periodEnd: 'last' },
+                { day: 29, periodMonth: 0, periodStart: 1, periodEnd: 15 }
+            ]
+        }
+    },
+    days_10_25: {
+        name: '10 и 25 числа',
+        holidayShift: HOLIDAY_SHIFT.PREVIOUS,
+        payments: [
+            { day: 10, periodMonth: -1, periodStart: 16, periodEnd: 'last' },
+            { day: 25, periodMonth: 0, periodStart: 1, periodEnd: 15 }
+        ],
+        monthOverrides: {}
+    },
+    days_5_20: {
+        name: '5 и 20 числа',
+        holidayShift: HOLIDAY_SHIFT.PREVIOUS,
+        payments: [
+            { day: 5, periodMonth: -1, periodStart: 16, periodEnd: 'last' },
+            { day: 20, periodMonth: 0, periodStart: 1, periodEnd: 15 }
+        ],
+        monthOverrides: {}
+    },
+    days_15_last: {
+        name: '15 и последнее число месяца',
+        holidayShift: HOLIDAY_SHIFT.PREVIOUS,
+        payments: [
+            { day: 15, periodMonth: -1, periodStart: 16, periodEnd: 'last' },
+            { day: 'last', periodMonth: 0, periodStart: 1, periodEnd: 15 }
+        ],
+        monthOverrides: {}
+    }
+};
+
+const DEFAULT_PAY_SCHEDULE = PAY_SCHEDULE_PRESETS.standard;
+
+// Способы расчета аванса
+const ADVANCE_METHODS = {
+    PROPORTIONAL: 'proportional',
+    PERCENT: 'percent',
+    FIXED: 'fixed'
+};
+
+// Вид выплаты по оплачиваемому периоду
+const PAYMENT_KINDS = {
+    ADVANCE: 'advance',
+    FINAL: 'final',
+    REGULAR: 'regular'
+};
+
+/**
+ * Проверка дня месяца в правиле: число 1-31 или 'last'
+ */
+function isValidScheduleDay(value) {
+    return value === 'last' || (Number.isInteger(value) && value >= 1 && value <= 31);
+}
+
+/**
+ * Проверка списка правил выплат
+ */
+function validatePaymentRules(rules, context) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error(`${context}: нужен непустой список выплат`);
+    }
+
+    for (const rule of rules) {
+        if (!isValidScheduleDay(rule.day)) {
+            throw new Error(`${context}: неверный день выплаты ${JSON.stringify(rule.day)}`);
+        }
+        if (!Number.isInteger(rule.periodMonth) || rule.periodMonth < -12 || rule.periodMonth > 0) {
+            throw new Error(`${context}: periodMonth должен быть целым числом от -12 до 0`);
+        }
+        if (!isValidScheduleDay(rule.periodStart) || !isValidScheduleDay(rule.periodEnd)) {
+            throw new Error(`${context}: неверные границы периода`);
+        }
+        if (rule.periodStart === 'last' && rule.periodEnd !== 'last') {
+            throw new Error(`${context}: период с последнего дня месяца должен им и заканчиваться`);
+        }
+        if (rule.periodStart !== 'last' && rule.periodEnd !== 'last' && rule.periodStart > rule.periodEnd) {
+            throw new Error(`${context}: начало периода позже его конца`);
+        }
+    }
+}
+
+/**
+ * Проверка графика выплат (например, отредактированного пользователем)
+ * Возвращает график в нормализованном виде
+ */
+function validatePaySchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+        throw new Error('График выплат должен быть объектом');
+    }
+
+    const holidayShift = schedule.holidayShift || HOLIDAY_SHIFT.PREVIOUS;
+    if (!Object.values(HOLIDAY_SHIFT).includes(holidayShift)) {
+        throw new Error(`holidayShift должен быть "${HOLIDAY_SHIFT.PREVIOUS}" или "${HOLIDAY_SHIFT.NEXT}"`);
+    }
+
+    validatePaymentRules(schedule.payments, 'payments');
+
+    const monthOverrides = schedule.monthOverrides || {};
+    for (const month in monthOverrides) {
+        const monthNum = Number(month);
+        if (!Number.isInteger(monthNum) || monthNum < 1 || monthNum > 12) {
+            throw new Error(`monthOverrides: неверный месяц ${month}`);
+        }
+        validatePaymentRules(monthOverrides[month], `monthOverrides.${month}`);
+    }
+
+    return {
+        name: schedule.name || 'Свой график',
+        holidayShift,
+        payments: schedule.payments,
+        monthOverrides
+    };
+}
+
+/**
+ * Правила выплат для месяца (с учетом особых месяцев), по возрастанию дня
+ */
+function getPaymentRulesForMonth(schedule, monthNum) {
+    const rules = (schedule.monthOverrides && schedule.monthOverrides[monthNum]) || schedule.payments;
+    const dayOrder = (rule) => rule.day === 'last' ? 32 : rule.day;
+
+    return [...rules].sort((a, b) => dayOrder(a) - dayOrder(b));
+}
+
+/**
+ * Число месяца по значению правила (число или 'last'), не больше последнего дня месяца
+ */
+function resolveScheduleDay(value, year, monthNum) {
+    const lastDay = new Date(year, monthNum, 0).getDate();
+    return value === 'last' ? lastDay : Math.min(value, lastDay);
+}
+
+/**
+ * Оплачиваемый период для правила выплаты в заданном месяце
+ */
+function resolvePaymentPeriod(rule, year, monthNum) {
+    const periodMonth = new Date(year, monthNum - 1 + rule.periodMonth, 1);
+    const periodYear = periodMonth.getFullYear();
+    const periodMonthNum = periodMonth.getMonth() + 1;
+
+    return {
+        start: new Date(periodYear, periodMonthNum - 1, resolveScheduleDay(rule.periodStart, periodYear, periodMonthNum)),
+        end: new Date(periodYear, periodMonthNum - 1, resolveScheduleDay(rule.periodEnd, periodYear, periodMonthNum)),
+        monthStart: new Date(periodYear, periodMonthNum - 1, 1),
+        monthEnd: new Date(periodYear, periodMonthNum, 0)
+    };
+}
+
+/**
+ * Вид выплаты: аванс - период с 1 числа до середины месяца,
+ * окончательный расчет - период до конца месяца, остальное - обычная выплата
+ */
+function getPaymentKind(rule) {
+    if (rule.periodStart === 1 && rule.periodEnd !== 'last') {
+        return PAYMENT_KINDS.ADVANCE;
+    }
+    if (rule.periodStart !== 1 && rule.periodEnd === 'last') {
+        return PAYMENT_KINDS.FINAL;
+    }
+    return PAYMENT_KINDS.REGULAR;
+}
+
+/**
+ * Правило аванса за месяц: ищем в месяце периода и в следующем за ним
+ * Возвращает { rule, year, monthNum } - правило и месяц выплаты, или null
+ */
+function findAdvanceRule(schedule, year, monthNum) {
+    for (let offset = 0; offset <= 1; offset++) {
+        const paymentMonth = new Date(year, monthNum - 1 + offset, 1);
+        const paymentMonthNum = paymentMonth.getMonth() + 1;
+
+        const rule = getPaymentRulesForMonth(schedule, paymentMonthNum)
+            .find(r => r.periodMonth === -offset && getPaymentKind(r) === PAYMENT_KINDS.ADVANCE);
+        if (rule) {
+            return { rule, year: paymentMonth.getFullYear(), monthNum: paymentMonthNum };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Краткое описание дней выплат графика для сводки
+ */
+function describePaySchedule(schedule) {
+    const days = schedule.payments.map(rule => rule.day === 'last' ? 'последнее' : rule.day);
+    let text = `${days.join(' и ')} числа каждого месяца`;
+
+    const overrides = Object.keys(schedule.monthOverrides || {});
+    if (overrides.length > 0) {
+        text += ` (особые правила: ${overrides.map(m => MONTHS_RU_NOMINATIVE[m - 1]).join(', ')})`;
+    }
+
+    return text;
+}
@@ -0,0 +1,643 @@
+/**
+ * Производственный календарь: встроенные данные и источники (провайдеры) календаря
+ *
+ * Провайдер - объект вида { id, name, version, getMonth(year, month) },
+ * где getMonth возвращает карту "YYYY-MM-DD" -> { type, hours }
+ * или null, если у провайдера нет данных за этот месяц.
+ *
+ * Календарь строится для страны (праздники и правила переноса по ее трудовому кодексу)
+ * и региона: региональные праздники добавляются поверх календаря страны.
+ * Официальные переносы рабочих дней встроены только для России, для других стран
+ * без онлайн-источника или файла используется расчет по правилам.
+ */
+
+// Типы дней производственного календаря
+const DAY_TYPES = {
+    WORKING: 'working',
+    SHORT: 'short',
+    WEEKEND: 'weekend',
+    HOLIDAY: 'holiday'
+};
+
+// Продолжительность рабочего дня при 40-часовой неделе
+const STANDARD_WORKDAY_HOURS = 8;
+
+// Миллисекунд в сутках
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Нерабочие праздничные дни РФ (ст. 112 ТК РФ), формат MM-DD
+const RU_PUBLIC_HOLIDAYS = [
+    '01-01', '01-02', '01-03', '01-04', '01-05', '01-06', '01-07', '01-08',
+    '02-23', '03-08', '05-01', '05-09', '06-12', '11-04'
+];
+
+// Праздничные дни Беларуси (ст. 147 ТК РБ), кроме Радуницы
+const BY_PUBLIC_HOLIDAYS = ['01-01', '01-02', '01-07', '03-08', '05-01', '05-09', '07-03', '11-07', '12-25'];
+
+// Праздничные дни Казахстана (Закон РК "О праздниках"), кроме Курбан айта
+const KZ_PUBLIC_HOLIDAYS = [
+    '01-01', '01-02', '01-07', '03-08', '03-21', '03-22', '03-23',
+    '05-01', '05-07', '05-09', '07-06', '08-30', '10-25', '12-16'
+];
+
+// Праздничные дни Узбекистана (ст. 208 ТК РУз), кроме Рамазан и Курбан хайита
+const UZ_PUBLIC_HOLIDAYS = ['01-01', '03-08', '03-21', '05-09', '09-01', '10-01', '12-08'];
+
+// Ураза-байрам (Рамазан хайит) и Курбан-байрам (Курбан айт, хайит) по лунному календарю,
+// даты объявляются ежегодно; для других лет эти праздники не учитываются
+const ISLAMIC_HOLIDAYS = {
+    2023: { eidAlFitr: '04-21', eidAlAdha: '06-28' },
+    2024: { eidAlFitr: '04-10', eidAlAdha: '06-16' },
+    2025: { eidAlFitr: '03-30', eidAlAdha: '06-06' },
+    2026: { eidAlFitr: '03-20', eidAlAdha: '05-27' }
+};
+
+/**
+ * Встроенный производственный календарь РФ
+ * holidays - праздничные дни, daysOff - перенесенные выходные,
+ * workdays - рабочие субботы/воскресенья, shortDays - предпраздничные дни
+ */
+const PRODUCTION_CALENDAR_RU = {
+    name: 'Встроенный производственный календарь РФ',
+    version: '2026.1',
+    years: {
+        2023: {
+            holidays: RU_PUBLIC_HOLIDAYS,
+            daysOff: ['02-24', '05-08', '11-06'],
+            workdays: [],
+            shortDays: ['02-22', '03-07', '11-03']
+        },
+        2024: {
+            holidays: RU_PUBLIC_HOLIDAYS,
+            daysOff: ['04-29', '04-30', '05-10', '12-30', '12-31'],
+            workdays: ['04-27', '11-02', '12-28'],
+            shortDays: ['02-22', '03-07', '05-08', '06-11', '11-02']
+        },
+        2025: {
+            holidays: RU_PUBLIC_HOLIDAYS,
+            daysOff: ['05-02', '05-08', '06-13', '11-03', '12-31'],
+            workdays: ['11-01'],
+            shortDays: ['03-07', '04-30', '06-11', '11-01']
+        },
+        2026: {
+            holidays: RU_PUBLIC_HOLIDAYS,
+            daysOff: ['01-09', '03-09', '05-11', '12-31'],
+            workdays: [],
+            shortDays: ['04-30', '05-08', '06-11', '11-03']
+        }
+    }
+};
+
+/**
+ * Православная Пасха (по юлианскому календарю, пересчитанная в григорианский для 1900-2099)
+ */
+function getOrthodoxEaster(year) {
+    const d = (19 * (year % 19) + 15) % 30;
+    const e = (2 * (year % 4) + 4 * (year % 7) - d + 34) % 7;
+    const month = Math.floor((d + e + 114) / 31);
+    const day = (d + e + 114) % 31 + 1;
+    return new Date(year, month - 1, day + 13);
+}
+
+/**
+ * Мусульманские праздники года из списка ISLAMIC_HOLIDAYS (MM-DD)
+ */
+function getIslamicHolidays(year, kinds = ['eidAlFitr', 'eidAlAdha']) {
+    const yearData = ISLAMIC_HOLIDAYS[year];
+    return yearData ? kinds.map(kind => yearData[kind]) : [];
+}
+
+/**
+ * Правила календаря стран
+ * holidays - праздники с постоянной датой, getMovableHolidays(year) - праздники с плавающей датой
+ * (MM-DD, не переносятся), transferWeekendHolidays - праздник в выходной переносится
+ * на следующий рабочий день (кроме holidaysInPlace), shortPreHoliday - день перед праздником
+ * короче на 1 час, isDayOffCode - код страны в API isdayoff.ru, dataset - официальный календарь
+ */
+const CALENDAR_COUNTRIES = {
+    RU: {
+        holidays: RU_PUBLIC_HOLIDAYS,
+        getMovableHolidays: () => [],
+        transferWeekendHolidays: true,
+        // Январские праздники переносятся только постановлением Правительства
+        holidaysInPlace: RU_PUBLIC_HOLIDAYS.filter(mdKey => mdKey.startsWith('01-')),
+        shortPreHoliday: true,
+        isDayOffCode: 'ru',
+        law: 'ст. 112 ТК РФ',
+        dataset: PRODUCTION_CALENDAR_RU
+    },
+    BY: {
+        holidays: BY_PUBLIC_HOLIDAYS,
+        // Радуница - 9-й день после православной Пасхи
+        getMovableHolidays: (year) => {
+            const easter = getOrthodoxEaster(year);
+            return [dateToMonthDayKey(new Date(year, easter.getMonth(), easter.getDate() + 9))];
+        },
+        transferWeekendHolidays: false,
+        holidaysInPlace: [],
+        shortPreHoliday: true,
+        isDayOffCode: 'by',
+        law: 'ТК Республики Беларусь',
+        dataset: null
+    },
+    KZ: {
+        holidays: KZ_PUBLIC_HOLIDAYS,
+        getMovableHolidays: (year) => getIslamicHolidays(year, ['eidAlAdha']),
+        transferWeekendHolidays: true,
+        // Религиозные праздники не переносятся
+        holidaysInPlace: ['01-07'],
+        shortPreHoliday: false,
+        isDayOffCode: 'kz',
+        law: 'ТК Республики Казахстан',
+        dataset: null
+    },
+    UZ: {
+        holidays: UZ_PUBLIC_HOLIDAYS,
+        getMovableHolidays: (year) => getIslamicHolidays(year),
+        transferWeekendHolidays: false,
+        holidaysInPlace: [],
+        shortPreHoliday: true,
+        isDayOffCode: 'uz',
+        law: 'ТК Республики Узбекистан',
+        dataset: null
+    }
+};
+
+/**
+ * Регионы календаря: страна и региональные праздники (постоянные и по году)
+ */
+const CALENDAR_REGIONS = {
+    RU: { name: 'Россия', country: 'RU', holidays: [], getMovableHolidays: () => [] },
+    'RU-TA': {
+        name: 'Россия, Татарстан',
+        country: 'RU',
+        // День Республики и День Конституции Республики Татарстан
+        holidays: ['08-30', '11-06'],
+        getMovableHolidays: (year) => getIslamicHolidays(year)
+    },
+    'RU-BA': {
+        name: 'Россия, Башкортостан',
+        country: 'RU',
+        // День Республики Башкортостан
+        holidays: ['10-11'],
+        getMovableHolidays: (year) => getIslamicHolidays(year)
+    },
+    BY: { name: 'Беларусь', country: 'BY', holidays: [], getMovableHolidays: () => [] },
+    KZ: { name: 'Казахстан', country: 'KZ', holidays: [], getMovableHolidays: () => [] },
+    UZ: { name: 'Узбекистан', country: 'UZ', holidays: [], getMovableHolidays: () => [] }
+};
+
+const DEFAULT_CALENDAR_REGION = 'RU';
+
+/**
+ * Праздники страны за год: постоянные и с плавающей датой (MM-DD)
+ */
+function getCountryHolidays(country, year) {
+    return [...country.holidays, ...country.getMovableHolidays(year)];
+}
+
+/**
+ * Региональные праздники за год (MM-DD), без праздников страны
+ */
+function getRegionalHolidays(region, year) {
+    return [...region.holidays, ...region.getMovableHolidays(year)];
+}
+
+/**
+ * Ключ MM-DD для даты
+ */
+function dateToMonthDayKey(date) {
+    return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Разница в календарных днях между датами (b - a)
+ */
+function daysBetween(a, b) {
+    return Math.round((b - a) / MS_PER_DAY);
+}
+
+/**
+ * Информация о дне по его типу
+ */
+function createDayInfo(type) {
+    let hours = 0;
+    if (type === DAY_TYPES.WORKING) {
+        hours = STANDARD_WORKDAY_HOURS;
+    } else if (type === DAY_TYPES.SHORT) {
+        hours = STANDARD_WORKDAY_HOURS - 1;
+    }
+
+    return { type, hours };
+}
+
+/**
+ * Построить дни месяца по данным года в формате встроенного календаря
+ */
+function buildCalendarMonth(yearData, year, month) {
+    const holidays = new Set(yearData.holidays || []);
+    const daysOff = new Set(yearData.daysOff || []);
+    const workdays = new Set(yearData.workdays || []);
+    const shortDays = new Set(yearData.shortDays || []);
+
+    const days = {};
+    const lastDay = new Date(year, month, 0).getDate();
+
+    for (let day = 1; day <= lastDay; day++) {
+        const date = new Date(year, month - 1, day);
+        const mdKey = dateToMonthDayKey(date);
+        const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+
+        let type;
+        if (holidays.has(mdKey)) {
+            type = DAY_TYPES.HOLIDAY;
+        } else if (daysOff.has(mdKey)) {
+            type = DAY_TYPES.WEEKEND;
+        } else if (isWeekend && !workdays.has(mdKey)) {
+            type = DAY_TYPES.WEEKEND;
+        } else if (shortDays.has(mdKey)) {
+            type = DAY_TYPES.SHORT;
+        } else {
+            type = DAY_TYPES.WORKING;
+        }
+
+        days[dateToKey(date)] = createDayInfo(type);
+    }
+
+    return days;
+}
+
+/**
+ * Провайдер на основе данных в формате встроенного календаря
+ */
+function createDatasetCalendarProvider(id, dataset) {
+    return {
+        id,
+        name: dataset.name,
+        version: dataset.version,
+        async getMonth(year, month) {
+            const yearData = dataset.years[year];
+            if (!yearData) {
+                return null;
+            }
+            return buildCalendarMonth(yearData, year, month);
+        }
+    };
+}
+
+/**
+ * Провайдер-оценка по правилам трудового кодекса страны для лет без официальных данных:
+ * праздник в выходной переносится на следующий рабочий день, если так принято в стране
+ * (в РФ - кроме январских), день перед праздником сокращается на час
+ */
+function createRuleBasedCalendarProvider(country = CALENDAR_COUNTRIES.RU) {
+    const yearsCache = {};
+
+    function buildYear(year) {
+        const yearHolidays = getCountryHolidays(country, year);
+        const holidays = new Set(yearHolidays);
+        const isHoliday = (date) => holidays.has(dateToMonthDayKey(date));
+        const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+        const daysOff = [];
+        const transferred = country.transferWeekendHolidays
+            ? country.holidays.filter(mdKey => !country.holidaysInPlace.includes(mdKey))
+            : [];
+        for (const mdKey of transferred) {
+            const [month, day] = mdKey.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+
+            if (!isWeekend(date)) {
+                continue;
+            }
+
+            const shifted = new Date(date);
+            do {
+                shifted.setDate(shifted.getDate() + 1);
+            } while (isWeekend(shifted) || isHoliday(shifted) || daysOff.includes(dateToMonthDayKey(shifted)));
+
+            if (shifted.getFullYear() === year) {
+                daysOff.push(dateToMonthDayKey(shifted));
+            }
+        }
+
+        // Предпраздничные дни (31 декабря - перед 1 января следующего года)
+        const holidayDates = yearHolidays.map(mdKey => {
+            const [month, day] = mdKey.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        });
+        holidayDates.push(new Date(year + 1, 0, 1));
+
+        const shortDays = [];
+        for (const holidayDate of country.shortPreHoliday ? holidayDates : []) {
+            const previous = new Date(holidayDate);
+            previous.setDate(previous.getDate() - 1);
+            const previousKey = dateToMonthDayKey(previous);
+
+            if (previous.getFullYear() === year && !isWeekend(previous) && !isHoliday(previous) && !daysOff.includes(previousKey)) {
+                shortDays.push(previousKey);
+            }
+        }
+
+        return { holidays: yearHolidays, daysOff, workdays: [], shortDays };
+    }
+
+    return {
+        id: 'rules',
+        name: `Расчет по ${country.law} (без учета постановления о переносах)`,
+        version: null,
+        async getMonth(year, month) {
+            if (!yearsCache[year]) {
+                yearsCache[year] = buildYear(year);
+            }
+            return buildCalendarMonth(yearsCache[year], year, month);
+        }
+    };
+}
+
+/**
+ * Провайдер на основе API isdayoff.ru
+ */
+function createIsDayOffCalendarProvider(country = CALENDAR_COUNTRIES.RU) {
+    return {
+        id: 'isdayoff',
+        name: 'isdayoff.ru',
+        version: 'онлайн',
+        async getMonth(year, month) {
+            const url = `https://isdayoff.ru/api/getdata?year=${year}&month=${month}&cc=${country.isDayOffCode}&pre=1`;
+
+            const response = await fetch(url);
+            if (!response.ok) {
+                return null;
+            }
+
+            // API возвращает строку, где каждый символ - день месяца
+            // 0 - рабочий день, 1 - выходной, 2 - предпраздничный, 4 - рабочий
+            const data = (await response.text()).trim();
+            const lastDay = new Date(year, month, 0).getDate();
+            if (data.length !== lastDay) {
+                return null;
+            }
+
+            const holidays = getCountryHolidays(country, year);
+            const days = {};
+            for (let day = 1; day <= lastDay; day++) {
+                const date = new Date(year, month - 1, day);
+                const code = data[day - 1];
+
+                let type;
+                if (code === '1') {
+                    // API не различает праздники и выходные - сверяемся со списком праздников
+                    type = holidays.includes(dateToMonthDayKey(date)) ? DAY_TYPES.HOLIDAY : DAY_TYPES.WEEKEND;
+                } else if (code === '2') {
+                    type = DAY_TYPES.SHORT;
+                } else {
+                    type = DAY_TYPES.WORKING;
+                }
+
+                days[dateToKey(date)] = createDayInfo(type);
+            }
+
+            return days;
+        }
+    };
+}
+
+/**
+ * Провайдер с региональными праздниками поверх календаря страны
+ * Региональный праздник - нерабочий день, даже если по календарю страны он рабочий;
+ * рабочий день перед ним короче на 1 час, как и перед праздниками страны (ст. 95 ТК РФ)
+ */
+function createRegionalCalendarProvider(provider, region) {
+    return {
+        id: provider.id,
+        name: `${provider.name} + региональные праздники`,
+        version: provider.version,
+        async getMonth(year, month) {
+            const countryDays = await provider.getMonth(year, month);
+            if (!countryDays) {
+                return null;
+            }
+
+            const regionalHolidays = getRegionalHolidays(region, year);
+            const days = { ...countryDays };
+            for (const dateKey in days) {
+                if (regionalHolidays.includes(dateKey.slice(5))) {
+                    days[dateKey] = createDayInfo(DAY_TYPES.HOLIDAY);
+                }
+            }
+
+            // Праздник 1-го числа сокращает последний день предыдущего месяца, поэтому берем и следующий год
+            if (CALENDAR_COUNTRIES[region.country].shortPreHoliday) {
+                for (const holidayYear of [year, year + 1]) {
+                    for (const mdKey of getRegionalHolidays(region, holidayYear)) {
+                        const [holidayMonth, holidayDay] = mdKey.split('-').map(Number);
+                        const previous = new Date(holidayYear, holidayMonth - 1, holidayDay - 1);
+                        const previousKey = `${previous.getFullYear()}-${dateToMonthDayKey(previous)}`;
+                        if (days[previousKey] && days[previousKey].type === DAY_TYPES.WORKING) {
+                            days[previousKey] = createDayInfo(DAY_TYPES.SHORT);
+                        }
+                    }
+                }
+            }
+            return days;
+        }
+    };
+}
+
+/**
+ * Проверка списка дат формата MM-DD
+ */
+function validateMonthDayList(list, field, year) {
+    if (list === undefined) {
+        return [];
+    }
+
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string' && /^\d{2}-\d{2}$/.test(item))) {
+        throw new Error(`Поле ${field} за ${year} год должно быть списком дат в формате MM-DD`);
+    }
+
+    return list;
+}
+
+/**
+ * Парсинг календаря в формате JSON (формат встроенного календаря)
+ */
+function parseCalendarJSON(text, fileName) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Файл календаря не является корректным JSON');
+    }
+
+    if (!data || typeof data.years !== 'object' || data.years === null) {
+        throw new Error('В файле календаря нет раздела years');
+    }
+
+    const years = {};
+    for (const year in data.years) {
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error(`Неверный год в файле календаря: ${year}`);
+        }
+
+        const yearData = data.years[year];
+        years[year] = {
+            holidays: validateMonthDayList(yearData.holidays, 'holidays', year),
+            daysOff: validateMonthDayList(yearData.daysOff, 'daysOff', year),
+            workdays: validateMonthDayList(yearData.workdays, 'workdays', year),
+            shortDays: validateMonthDayList(yearData.shortDays, 'shortDays', year)
+        };
+    }
+
+    return {
+        name: data.name || `Календарь из файла ${fileName}`,
+        version: data.version ? String(data.version) : null,
+        years
+    };
+}
+
+/**
+ * Парсинг календаря в формате XML (формат xmlcalendar.ru)
+ * t="1" - выходной (с атрибутом h - праздник), t="2" - предпраздничный, t="3" - рабочий выходной
+ */
+function parseCalendarXML(text, fileName) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Файл календаря не является корректным XML');
+    }
+
+    const calendars = Array.from(xml.getElementsByTagName('calendar'));
+    if (calendars.length === 0) {
+        throw new Error('В файле календаря нет элемента calendar');
+    }
+
+    const years = {};
+    let version = null;
+
+    for (const calendar of calendars) {
+        const year = calendar.getAttribute('year');
+        if (!/^\d{4}$/.test(year || '')) {
+            throw new Error(`Неверный год в файле календаря: ${year}`);
+        }
+
+        version = version || calendar.getAttribute('date');
+        const yearData = { holidays: [], daysOff: [], workdays: [], shortDays: [] };
+
+        for (const day of Array.from(calendar.getElementsByTagName('day'))) {
+            const match = (day.getAttribute('d') || '').match(/^(\d{2})\.(\d{2})$/);
+            if (!match) {
+                continue;
+            }
+
+            const mdKey = `${match[1]}-${match[2]}`;
+            const type = day.getAttribute('t');
+
+            if (type === '1') {
+                (day.hasAttribute('h') ? yearData.holidays : yearData.daysOff).push(mdKey);
+            } else if (type === '2') {
+                yearData.shortDays.push(mdKey);
+            } else if (type === '3') {
+                yearData.workdays.push(mdKey);
+            }
+        }
+
+        years[year] = yearData;
+    }
+
+    return {
+        name: `Календарь из файла ${fileName}`,
+        version,
+        years
+    };
+}
+
+/**
+ * Чтение файла с производственным календарем (JSON или XML)
+ */
+async function parseCalendarFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = (e) => {
+            try {
+                const content = e.target.result;
+                const isXML = file.name.toLowerCase().endsWith('.xml');
+                resolve(isXML ? parseCalendarXML(content, file.name) : parseCalendarJSON(content, file.name));
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        reader.onerror = () => reject(new Error('Ошибка чтения файла'));
+        reader.readAsText(file, 'UTF-8');
+    });
+}
+
+// Активная цепочка провайдеров: первый вернувший данные за месяц используется для расчета
+let calendarProviders = [
+    createDatasetCalendarProvider('bundled', PRODUCTION_CALENDAR_RU),
+    createRuleBasedCalendarProvider(CALENDAR_COUNTRIES.RU)
+];
+let calendarRegionId = DEFAULT_CALENDAR_REGION;
+
+/**
+ * Выбор источника календаря: 'bundled', 'isdayoff' или 'file' - и региона (ключ CALENDAR_REGIONS)
+ * Встроенный календарь страны (если есть) и расчет по ее трудовому кодексу остаются резервными источниками
+ */
+function setCalendarSource(sourceId, fileDataset = null, regionId = DEFAULT_CALENDAR_REGION) {
+    const region = CALENDAR_REGIONS[regionId];
+    if (!region) {
+        throw new Error(`Неизвестный регион календаря: ${regionId}`);
+    }
+    const country = CALENDAR_COUNTRIES[region.country];
+
+    const fallback = [createRuleBasedCalendarProvider(country)];
+    if (country.dataset) {
+        fallback.unshift(createDatasetCalendarProvider('bundled', country.dataset));
+    }
+
+    let providers = fallback;
+    if (sourceId === 'isdayoff') {
+        providers = [createIsDayOffCalendarProvider(country), ...fallback];
+    } else if (sourceId === 'file') {
+        if (!fileDataset) {
+            throw new Error('Не загружен файл календаря');
+        }
+        providers = [createDatasetCalendarProvider('file', fileDataset), ...fallback];
+    }
+
+    if (region.holidays.length > 0) {
+        providers = providers.map(provider => createRegionalCalendarProvider(provider, region));
+    }
+
+    calendarProviders = providers;
+    calendarRegionId = regionId;
+    clearCalendarCache();
+}
+
+/**
+ * Регион активного календаря: { id, name, country }
+ */
+function getCalendarRegion() {
+    const region = CALENDAR_REGIONS[calendarRegionId];
+    return { id: calendarRegionId, name: region.name, country: region.country };
+}
+
+/**
+ * Загрузить дни месяца из первого провайдера, у которого есть данные
+ */
+async function loadCalendarMonth(year, month) {
+    for (const provider of calendarProviders) {
+        try {
+            const days = await provider.getMonth(year, month);
+            if (days) {
+                return { days, source: { id: provider.id, name: provider.name, version: provider.version } };
+            }
+        } catch (e) {
+            console.warn(`Источник календаря ${provider.name} недоступен для ${year}-${String(month).padStart(2, '0')}`);
+        }
+    }
+
+    throw new Error(`Нет данных производственного календаря за ${year}-${String(month).padStart(2, '0')}`);
+}
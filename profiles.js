@@ -0,0 +1,219 @@
+/**
+ * Состояние формы в адресе страницы и именованные профили в localStorage
+ *
+ * Состояние - объект с полями формы (см. getFormState в app.js). В адрес оно попадает
+ * как JSON в base64url: #state=eyJ2Ijox..., поэтому ссылку можно отправить коллеге.
+ * Профили хранятся в localStorage списком { name, state, updated_at }
+ */
+
+const STATE_HASH_PARAM = 'state';
+const STATE_VERSION = 1;
+const PROFILES_STORAGE_KEY = 'salary-calculator.profiles';
+const PROFILES_EXPORT_FORMAT = 'salary-calculator-profiles';
+const MAX_PROFILE_NAME_LENGTH = 60;
+const MAX_PROFILES = 100;
+
+/**
+ * Строка в base64url (UTF-8)
+ */
+function encodeBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Обратное преобразование base64url в строку
+ */
+function decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Проверка состояния из ссылки или профиля
+ */
+function validateState(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error('состояние должно быть объектом');
+    }
+    if (state.v !== STATE_VERSION) {
+        throw new Error(`неподдерживаемая версия состояния: ${state.v}`);
+    }
+    return state;
+}
+
+/**
+ * Хэш адреса для состояния: "#state=..."
+ * Пустые поля не сохраняются, чтобы ссылка была короче
+ */
+function encodeStateHash(state) {
+    const compact = { v: STATE_VERSION };
+    for (const [key, value] of Object.entries(state)) {
+        if (value !== '' && value !== null && value !== undefined && value !== false) {
+            compact[key] = value;
+        }
+    }
+    return `#${STATE_HASH_PARAM}=${encodeBase64Url(JSON.stringify(compact))}`;
+}
+
+/**
+ * Состояние из хэша адреса или null, если в адресе его нет
+ */
+function decodeStateHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const value = params.get(STATE_HASH_PARAM);
+    if (!value) {
+        return null;
+    }
+
+    let state;
+    try {
+        state = JSON.parse(decodeBase64Url(value));
+    } catch (e) {
+        throw new Error('ссылка повреждена');
+    }
+    return validateState(state);
+}
+
+/**
+ * Проверка имени профиля; возвращает имя без лишних пробелов
+ */
+function validateProfileName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('введите название профиля');
+    }
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`название профиля длиннее ${MAX_PROFILE_NAME_LENGTH} символов`);
+    }
+    return trimmed;
+}
+
+/**
+ * Список профилей из хранилища; поврежденные данные не мешают работе
+ */
+function listProfiles(storage = localStorage) {
+    try {
+        const profiles = JSON.parse(storage.getItem(PROFILES_STORAGE_KEY));
+        return Array.isArray(profiles)
+            ? profiles.filter(p => p && typeof p.name === 'string' && p.state && typeof p.state === 'object')
+            : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Запись списка профилей (localStorage может быть переполнен или запрещен)
+ */
+function writeProfiles(profiles, storage) {
+    try {
+        storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    } catch (e) {
+        throw new Error('не удалось сохранить профили в браузере');
+    }
+}
+
+/**
+ * Сохранение профиля: новый добавляется в конец списка, существующий перезаписывается
+ */
+function saveProfile(name, state, storage = localStorage) {
+    const profileName = validateProfileName(name);
+    const profiles = listProfiles(storage);
+    const profile = { name: profileName, state: validateState(state), updated_at: new Date().toISOString() };
+
+    const index = profiles.findIndex(p => p.name === profileName);
+    if (index >= 0) {
+        profiles[index] = profile;
+    } else {
+        if (profiles.length >= MAX_PROFILES) {
+            throw new Error(`слишком много профилей (максимум ${MAX_PROFILES})`);
+        }
+        profiles.push(profile);
+    }
+
+    writeProfiles(profiles, storage);
+    return profile;
+}
+
+/**
+ * Переименование профиля
+ */
+function renameProfile(oldName, newName, storage = localStorage) {
+    const profileName = validateProfileName(newName);
+    const profiles = listProfiles(storage);
+
+    const profile = profiles.find(p => p.name === oldName);
+    if (!profile) {
+        throw new Error(`профиль "${oldName}" не найден`);
+    }
+    if (profileName !== oldName && profiles.some(p => p.name === profileName)) {
+        throw new Error(`профиль "${profileName}" уже есть`);
+    }
+
+    profile.name = profileName;
+    profile.updated_at = new Date().toISOString();
+    writeProfiles(profiles, storage);
+    return profile;
+}
+
+/**
+ * Удаление профиля
+ */
+function deleteProfile(name, storage = localStorage) {
+    writeProfiles(listProfiles(storage).filter(p => p.name !== name), storage);
+}
+
+/**
+ * Профили в JSON для переноса в другой браузер
+ */
+function exportProfiles(storage = localStorage) {
+    return JSON.stringify({
+        format: PROFILES_EXPORT_FORMAT,
+        version: STATE_VERSION,
+        profiles: listProfiles(storage)
+    }, null, 2);
+}
+
+/**
+ * Импорт профилей из JSON; профили с совпадающими названиями заменяются
+ * Возвращает количество импортированных профилей
+ */
+function importProfiles(text, storage = localStorage) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('некорректный JSON');
+    }
+    if (!data || data.format !== PROFILES_EXPORT_FORMAT || !Array.isArray(data.profiles)) {
+        throw new Error('файл не похож на выгрузку профилей');
+    }
+
+    const profiles = listProfiles(storage);
+    for (const imported of data.profiles) {
+        const profile = {
+            name: validateProfileName(imported && imported.name),
+            state: validateState(imported.state),
+            updated_at: imported.updated_at || new Date().toISOString()
+        };
+        const index = profiles.findIndex(p => p.name === profile.name);
+        if (index >= 0) {
+            profiles[index] = profile;
+        } else {
+            profiles.push(profile);
+        }
+    }
+    if (profiles.length > MAX_PROFILES) {
+        throw new Error(`слишком много профилей (максимум ${MAX_PROFILES})`);
+    }
+
+    writeProfiles(profiles, storage);
+    return data.profiles.length;
+}
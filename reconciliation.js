@@ -0,0 +1,254 @@
+/**
+ * Сверка рассчитанных выплат с фактическими поступлениями (банковская выписка или ручной ввод)
+ *
+ * Строка выписки: дата, сумма, описание. Разделитель - ";", табуляция или ",";
+ * для ручного ввода подойдет и пробел: "14.03.2025 52 174,00 Зарплата"
+ */
+
+// Параметры сверки по умолчанию
+const RECONCILIATION_DEFAULTS = {
+    tolerance: 10,   // допустимое расхождение суммы, ₽
+    windowDays: 5    // окно поиска выплаты, календарных дней в обе стороны
+};
+
+// Статусы строк сверки
+const RECONCILIATION_STATUS = {
+    MATCHED: 'matched',
+    DIFFERENCE: 'difference',
+    MISSING: 'missing',
+    EXTRA: 'extra'
+};
+
+/**
+ * Дата из выписки: 14.03.2025, 2025-03-14, время после даты отбрасывается
+ */
+function parseStatementDate(text) {
+    const value = text.trim().replace(/^"|"$/g, '').split(/[\sT]/)[0].replace(/,$/, '');
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+    }
+
+    return parseDate(value);
+}
+
+/**
+ * Сумма из выписки: "52 174,00", "+52174.00 ₽", "52174 RUB", "1.234,56", "1,234.56"
+ * Десятичный разделитель - последняя запятая или точка, если она в сумме одна такая
+ * и после нее 1-2 цифры; остальные запятые и точки разделяют разряды ("1,234,567", "52.174").
+ * Возвращает null, если суммы нет
+ */
+function parseStatementAmount(text) {
+    let value = text
+        .replace(/^"|"$/g, '')
+        .replace(/[\s ]/g, '')
+        .replace(/[^\d,.+-]/g, '');
+
+    const decimalIndex = Math.max(value.lastIndexOf(','), value.lastIndexOf('.'));
+    if (decimalIndex !== -1) {
+        const thousandsOnly = value.indexOf(value[decimalIndex]) !== decimalIndex ||
+            /^\d{3}$/.test(value.slice(decimalIndex + 1));
+        value = thousandsOnly
+            ? value.replace(/[,.]/g, '')
+            : `${value.slice(0, decimalIndex).replace(/[,.]/g, '')}.${value.slice(decimalIndex + 1)}`;
+    }
+
+    const amount = parseFloat(value);
+    return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Разбор строки выписки на дату, сумму и описание
+ */
+function parseStatementLine(line) {
+    let cells;
+    if (line.includes(';')) {
+        cells = line.split(';');
+    } else if (line.includes('\t')) {
+        cells = line.split('\t');
+    } else {
+        // "дата сумма описание" - сумма может содержать пробелы, точки или запятые между разрядами
+        const match = line.match(/^(\S+)\s+([+-]?\d(?:[\d\s ]|[.,]\d{3}(?!\d))*(?:[.,]\d{1,2})?)(?:\s*(?:₽|руб\.?|RUB))?\s*(.*)$/i);
+        cells = match ? [match[1], match[2], match[3]] : splitCsvLine(line, ',');
+
+        // Сумма без кавычек с запятой ("52174,00") распадается на рубли и копейки - собираем обратно
+        if (!match && cells.length > 2 && /^\d+$/.test(cells[1]) && /^\d{1,2}$/.test(cells[2])) {
+            cells.splice(1, 2, `${cells[1]},${cells[2]}`);
+        }
+    }
+
+    if (cells.length < 2) {
+        throw new Error(`Ожидаются дата и сумма: ${line}`);
+    }
+
+    const amount = parseStatementAmount(cells[1]);
+    if (amount === null) {
+        throw new Error(`Неверная сумма: ${cells[1].trim()}`);
+    }
+
+    return {
+        date: parseStatementDate(cells[0]),
+        amount,
+        description: cells.slice(2).join(' ').replace(/"/g, '').replace(/^[,\s]+/, '').trim()
+    };
+}
+
+/**
+ * Разбор банковской выписки или ручного ввода
+ * Строка заголовка пропускается, списания (отрицательные суммы) не учитываются
+ */
+function parseBankStatement(text) {
+    const MAX_STATEMENT_LINES = 1000;
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+    const entries = [];
+
+    if (lines.length > MAX_STATEMENT_LINES) {
+        throw new Error(`Слишком много строк в выписке (максимум ${MAX_STATEMENT_LINES})`);
+    }
+
+    lines.forEach((line, index) => {
+        const header = line.toLowerCase();
+        if (index === 0 && (header.includes('дата') || header.includes('date'))) {
+            return;
+        }
+
+        let entry;
+        try {
+            entry = parseStatementLine(line);
+        } catch (e) {
+            throw new Error(`Строка ${index + 1}: ${e.message}`);
+        }
+
+        if (entry.amount > 0) {
+            entries.push(entry);
+        }
+    });
+
+    entries.sort((a, b) => a.date - b.date);
+    return entries;
+}
+
+/**
+ * Сопоставление поступлений с рассчитанными выплатами
+ *
+ * Каждому поступлению ставится в пару ближайшая по дате рассчитанная выплата в пределах окна;
+ * пары с суммой в пределах допуска подбираются первыми, чтобы случайное поступление рядом
+ * не перехватило настоящую выплату. Рассчитанные выплаты без пары в пределах
+ * периода выписки считаются пропущенными, поступления без пары - лишними.
+ *
+ * Возвращает строки { status, expected, actual, difference, days_offset } по возрастанию даты
+ */
+function reconcilePayments(expected, actual, options = {}) {
+    const tolerance = options.tolerance ?? RECONCILIATION_DEFAULTS.tolerance;
+    const windowDays = options.windowDays ?? RECONCILIATION_DEFAULTS.windowDays;
+
+    // Все допустимые пары: сначала совпадающие по сумме, затем от ближайших к дальним
+    const candidates = [];
+    actual.forEach((entry, actualIndex) => {
+        expected.forEach((payment, expectedIndex) => {
+            const offset = daysBetween(payment.date, entry.date);
+            if (Math.abs(offset) <= windowDays) {
+                candidates.push({
+                    actualIndex,
+                    expectedIndex,
+                    offset,
+                    amountDiff: Math.abs(entry.amount - payment.amount),
+                    withinTolerance: Math.abs(entry.amount - payment.amount) <= tolerance
+                });
+            }
+        });
+    });
+    candidates.sort((a, b) =>
+        (b.withinTolerance - a.withinTolerance) ||
+        Math.abs(a.offset) - Math.abs(b.offset) ||
+        a.amountDiff - b.amountDiff
+    );
+
+    const rows = [];
+    const matchedActual = new Set();
+    const matchedExpected = new Set();
+
+    for (const candidate of candidates) {
+        if (matchedActual.has(candidate.actualIndex) || matchedExpected.has(candidate.expectedIndex)) {
+            continue;
+        }
+        matchedActual.add(candidate.actualIndex);
+        matchedExpected.add(candidate.expectedIndex);
+
+        const payment = expected[candidate.expectedIndex];
+        const entry = actual[candidate.actualIndex];
+        const difference = Math.round((entry.amount - payment.amount) * 100) / 100;
+
+        rows.push({
+            status: Math.abs(difference) <= tolerance ? RECONCILIATION_STATUS.MATCHED : RECONCILIATION_STATUS.DIFFERENCE,
+            expected: payment,
+            actual: entry,
+            difference,
+            days_offset: candidate.offset
+        });
+    }
+
+    actual.forEach((entry, index) => {
+        if (!matchedActual.has(index)) {
+            rows.push({ status: RECONCILIATION_STATUS.EXTRA, expected: null, actual: entry, difference: entry.amount, days_offset: null });
+        }
+    });
+
+    // Пропущенными считаем только выплаты внутри периода выписки
+    if (actual.length > 0) {
+        const statementStart = actual.reduce((min, e) => e.date < min ? e.date : min, actual[0].date);
+        const statementEnd = actual.reduce((max, e) => e.date > max ? e.date : max, actual[0].date);
+
+        expected.forEach((payment, index) => {
+            if (!matchedExpected.has(index) && payment.date >= statementStart && payment.date <= statementEnd) {
+                rows.push({ status: RECONCILIATION_STATUS.MISSING, expected: payment, actual: null, difference: -payment.amount, days_offset: null });
+            }
+        });
+    }
+
+    const rowDate = (row) => row.expected ? row.expected.date : row.actual.date;
+    rows.sort((a, b) => rowDate(a) - rowDate(b));
+
+    return rows;
+}
+
+/**
+ * Итоги сверки: количество строк по статусам и суммы
+ */
+function summarizeReconciliation(rows) {
+    const summary = { expected_total: 0, actual_total: 0, counts: {} };
+
+    for (const status of Object.values(RECONCILIATION_STATUS)) {
+        summary.counts[status] = 0;
+    }
+
+    for (const row of rows) {
+        summary.counts[row.status]++;
+        if (row.expected) summary.expected_total += row.expected.amount;
+        if (row.actual) summary.actual_total += row.actual.amount;
+    }
+
+    summary.difference = Math.round((summary.actual_total - summary.expected_total) * 100) / 100;
+    return summary;
+}
+
+/**
+ * Чтение файла выписки
+ */
+async function parseBankStatementFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+
+        reader.onload = (e) => {
+            try {
+                resolve(parseBankStatement(e.target.result));
+            } catch (err) {
+                reject(err);
+            }
+        };
+
+        reader.onerror = () => reject(new Error('Ошибка чтения файла'));
+        reader.readAsText(file, 'UTF-8');
+    });
+}
@@ -1,12 +1,79 @@
 /**
  * Модуль для расчета зарплат с учетом отпусков и производственного календаря РФ
+ * Данные календаря берутся из production-calendar.js
  */
 
-// Дни выплаты зарплаты по умолчанию
-const SALARY_PAYMENT_DAYS = [14, 29];
+// Допустимые нормы рабочего времени в неделю (ст. 91, 92 ТК РФ)
+const WEEKLY_HOURS_NORMS = [40, 39, 36, 24];
+const DEFAULT_WEEKLY_HOURS = 40;
 
-// Глобальный кэш для рабочих дней (дата -> true/false)
-const workingDaysCache = {};
+// Среднемесячное число календарных дней для расчета отпускных (ст. 139 ТК РФ)
+const AVERAGE_MONTH_CALENDAR_DAYS = 29.3;
+
+// Отпускные выплачиваются не позднее чем за 3 дня до начала отпуска (ст. 136 ТК РФ)
+const VACATION_PAY_ADVANCE_DAYS = 3;
+
+// Типы отсутствий
+const ABSENCE_TYPES = {
+    VACATION: 'vacation',
+    SICK: 'sick',
+    UNPAID: 'unpaid'
+};
+
+// Пометки типа отсутствия в строке отпуска
+const ABSENCE_TYPE_TAGS = {
+    sick: /(?:больничн[а-яё]*|sick(?: leave)?)/i,
+    unpaid: /(?:за свой сч[её]т|без сохранения(?: зарплаты| з\/п)?|unpaid)/i,
+    vacation: /(?:отпуск[а-яё]*|vacation)/i
+};
+
+// Первые 3 дня больничного оплачивает работодатель, остальные - Социальный фонд
+const SICK_LEAVE_EMPLOYER_DAYS = 3;
+
+// Процент среднего заработка по страховому стажу: до 5 лет, 5-8 лет, от 8 лет
+const SICK_LEAVE_TENURE_PERCENTS = [60, 80, 100];
+
+// Социальный фонд перечисляет пособие в течение 10 рабочих дней
+// после получения сведений от работодателя (до 3 рабочих дней)
+const SOCIAL_FUND_PAYMENT_WORKING_DAYS = 13;
+
+// Предельная база для страховых взносов на случай временной нетрудоспособности по годам
+// (для максимума пособия); с 2023 года - единая предельная база
+const SOCIAL_INSURANCE_BASE_LIMITS = {
+    2018: 815000,
+    2019: 865000,
+    2020: 912000,
+    2021: 966000,
+    2022: 1032000,
+    2023: 1917000,
+    2024: 2225000,
+    2025: 2759000,
+    2026: 2979000
+};
+
+// Число дней расчетного периода пособия (2 календарных года)
+const SICK_LEAVE_BILLING_DAYS = 730;
+
+// Коэффициенты оплаты сверхурочной работы (ст. 152 ТК РФ)
+const OVERTIME_FIRST_HOURS_MULTIPLIER = 1.5;
+const OVERTIME_NEXT_HOURS_MULTIPLIER = 2;
+const OVERTIME_FIRST_HOURS = 2;
+
+// Оплата работы в выходной или праздник (ст. 153 ТК РФ): двойная, с отгулом - одинарная
+const HOLIDAY_WORK_MULTIPLIER = 2;
+const HOLIDAY_WORK_TIME_OFF_MULTIPLIER = 1;
+
+// Виды дополнительной работы в журнале
+const EXTRA_WORK_TYPES = {
+    OVERTIME: 'overtime',
+    HOLIDAY: 'holiday_work'
+};
+
+// Глобальный кэш дней календаря (дата -> { type, hours })
+const calendarDaysCache = {};
+
+// Источник календаря, из которого загружен месяц (YYYY-MM -> { id, name, version })
+const calendarMonthSources = {};
 
 /**
  * Форматирование даты в строку для кэша
@@ -23,6 +90,35 @@ function keyToDate(key) {
     return new Date(year, month - 1, day);
 }
 
+/**
+ * Разбиение строки CSV на ячейки с учетом кавычек
+ */
+function splitCsvLine(line, separator) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === separator && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    
+    return cells;
+}
+
 /**
  * Проверка, попадает ли дата в один из отпусков
  */
@@ -43,81 +139,112 @@ function isDateInVacation(date, vacations) {
     return false;
 }
 
+/**
+ * Очистить кэш календаря (при смене источника календаря)
+ */
+function clearCalendarCache() {
+    for (const key in calendarDaysCache) {
+        delete calendarDaysCache[key];
+    }
+    for (const key in calendarMonthSources) {
+        delete calendarMonthSources[key];
+    }
+}
+
+/**
+ * Загрузить месяц календаря в кэш, если он еще не загружен
+ */
+async function ensureCalendarMonthLoaded(year, month) {
+    const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+    if (monthKey in calendarMonthSources) {
+        return;
+    }
+
+    const { days, source } = await loadCalendarMonth(year, month);
+    Object.assign(calendarDaysCache, days);
+    calendarMonthSources[monthKey] = source;
+}
+
 /**
  * Загрузить информацию о рабочих днях для диапазона дат
- * Использует API isdayoff.ru
+ * Использует активный источник производственного календаря
  */
 async function loadWorkingDaysBatch(startDate, endDate) {
     const result = {};
     
-    try {
-        const current = new Date(startDate);
-        current.setHours(0, 0, 0, 0);
+    const current = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    const end = new Date(endDate);
+    end.setHours(0, 0, 0, 0);
+    
+    while (current <= end) {
+        const year = current.getFullYear();
+        const month = current.getMonth() + 1;
         
-        const end = new Date(endDate);
-        end.setHours(0, 0, 0, 0);
+        await ensureCalendarMonthLoaded(year, month);
         
-        while (current <= end) {
-            const year = current.getFullYear();
-            const month = current.getMonth() + 1;
-            const monthKey = `${year}-${String(month).padStart(2, '0')}`;
-            
-            // Проверяем, есть ли уже данные за этот месяц в кэше
-            let monthHasData = false;
-            for (const cachedKey in workingDaysCache) {
-                const cachedDate = keyToDate(cachedKey);
-                if (cachedDate.getFullYear() === year && cachedDate.getMonth() + 1 === month) {
-                    monthHasData = true;
-                    break;
-                }
-            }
-            
-            if (!monthHasData) {
-                try {
-                    const url = `https://isdayoff.ru/api/getdata?year=${year}&month=${month}`;
-                    
-                    const response = await fetch(url);
-                    if (response.ok) {
-                        const data = await response.text();
-                        // API возвращает строку, где каждый символ - день месяца
-                        // 0 - рабочий день, 1 - выходной
-                        for (let day = 1; day <= data.length; day++) {
-                            try {
-                                const dayDate = new Date(year, month - 1, day);
-                                const dayKey = dateToKey(dayDate);
-                                const isWorking = data[day - 1] === '0';
-                                workingDaysCache[dayKey] = isWorking;
-                                result[dayKey] = isWorking;
-                            } catch (e) {
-                                // День не существует в этом месяце
-                                continue;
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.warn(`Ошибка загрузки данных за ${monthKey}`);
-                }
-            }
-            
-            // Переходим к следующему месяцу
-            if (month === 12) {
-                current.setFullYear(year + 1, 0, 1);
+        const lastDay = new Date(year, month, 0).getDate();
+        for (let day = 1; day <= lastDay; day++) {
+            const dayKey = dateToKey(new Date(year, month - 1, day));
+            result[dayKey] = calendarDaysCache[dayKey].hours > 0;
+        }
+        
+        // Переходим к следующему месяцу
+        current.setMonth(current.getMonth() + 1);
+    }
+    
+    return result;
+}
+
+/**
+ * Источники календаря, использованные для дат в диапазоне
+ */
+function getCalendarSources(startDate, endDate) {
+    const sources = [];
+    const seen = new Set();
+    
+    const current = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    while (current <= endDate) {
+        const monthKey = `${current.getFullYear()}-${String(current.getMonth() + 1).padStart(2, '0')}`;
+        const source = calendarMonthSources[monthKey];
+        
+        if (source) {
+            const sourceKey = `${source.id}:${source.version}`;
+            if (!seen.has(sourceKey)) {
+                seen.add(sourceKey);
+                sources.push({ ...source, months: [monthKey] });
             } else {
-                current.setMonth(month, 1);
+                sources.find(s => `${s.id}:${s.version}` === sourceKey).months.push(monthKey);
             }
         }
-    } catch (e) {
-        console.error('Ошибка batch загрузки рабочих дней', e);
+        
+        current.setMonth(current.getMonth() + 1);
     }
     
-    return result;
+    return sources;
 }
 
 /**
- * Проверка является ли день рабочим в РФ
+ * Информация о дне из производственного календаря: { type, hours }
+ */
+async function getDayInfo(date) {
+    const normalizedDate = new Date(date);
+    normalizedDate.setHours(0, 0, 0, 0);
+    
+    const dateKey = dateToKey(normalizedDate);
+    if (!(dateKey in calendarDaysCache)) {
+        await ensureCalendarMonthLoaded(normalizedDate.getFullYear(), normalizedDate.getMonth() + 1);
+    }
+    
+    return calendarDaysCache[dateKey];
+}
+
+/**
+ * Проверка является ли день рабочим по производственному календарю выбранного региона
  * Учитывает отпуска - если день попадает в отпуск, он считается нерабочим
+ * workPattern - режим работы сотрудника (см. work-pattern.js); без него - пятидневка по календарю.
+ * Даты выплат переносятся по календарю организации, поэтому для них режим не передается
  */
-async function isWorkingDay(date, vacations = null) {
+async function isWorkingDay(date, vacations = null, workPattern = null) {
     // Нормализуем дату (убираем время)
     const normalizedDate = new Date(date);
     normalizedDate.setHours(0, 0, 0, 0);
@@ -127,41 +254,11 @@ async function isWorkingDay(date, vacations = null) {
         return false;
     }
     
-    const dateKey = dateToKey(normalizedDate);
-    
-    // Проверяем кэш
-    if (dateKey in workingDaysCache) {
-        return workingDaysCache[dateKey];
-    }
-    
-    try {
-        // Формат: YYYYMMDD
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const dateStr = `${year}${month}${day}`;
-        
-        const url = `https://isdayoff.ru/${dateStr}`;
-        const response = await fetch(url);
-        
-        if (response.ok) {
-            const result = await response.text();
-            // 0 - рабочий день, 1 - выходной
-            const isWorking = result.trim() === '0';
-            workingDaysCache[dateKey] = isWorking;
-            return isWorking;
-        } else {
-            // Fallback на простую проверку
-            const isWorking = date.getDay() !== 0 && date.getDay() !== 6;
-            workingDaysCache[dateKey] = isWorking;
-            return isWorking;
-        }
-    } catch (e) {
-        // Fallback - простая проверка выходных
-        const isWorking = date.getDay() !== 0 && date.getDay() !== 6;
-        workingDaysCache[dateKey] = isWorking;
-        return isWorking;
+    const dayInfo = await getDayInfo(normalizedDate);
+    if (workPattern) {
+        return getPatternDayHours(normalizedDate, dayInfo, workPattern, DEFAULT_WEEKLY_HOURS) > 0;
     }
+    return dayInfo.hours > 0;
 }
 
 /**
@@ -180,28 +277,43 @@ async function getPreviousWorkingDay(date, vacations = null) {
 }
 
 /**
- * Получить последний рабочий день месяца
+ * Получить следующий рабочий день
  */
-async function getLastWorkingDayOfMonth(year, month, vacations = null) {
-    // Определяем последний день месяца
-    const lastDay = new Date(year, month, 0).getDate();
-    
-    // Ищем последний рабочий день, идя назад от последнего дня месяца
-    let current = new Date(year, month - 1, lastDay);
+async function getNextWorkingDay(date, vacations = null) {
+    const current = new Date(date);
     current.setHours(0, 0, 0, 0);
+    current.setDate(current.getDate() + 1);
     
     while (!(await isWorkingDay(current, vacations))) {
-        current.setDate(current.getDate() - 1);
+        current.setDate(current.getDate() + 1);
     }
     
     return current;
 }
 
+/**
+ * Дата выплаты по правилу графика
+ * Если день выплаты - выходной/праздник, переносим на предыдущий или следующий рабочий день
+ */
+async function resolvePaymentDate(rule, year, monthNum, holidayShift = HOLIDAY_SHIFT.PREVIOUS) {
+    const salaryDate = new Date(year, monthNum - 1, resolveScheduleDay(rule.day, year, monthNum));
+    salaryDate.setHours(0, 0, 0, 0);
+    
+    if (await isWorkingDay(salaryDate, null)) {
+        return salaryDate;
+    }
+    
+    return holidayShift === HOLIDAY_SHIFT.NEXT
+        ? getNextWorkingDay(salaryDate, null)
+        : getPreviousWorkingDay(salaryDate, null);
+}
+
 /**
  * Подсчет рабочих дней между датами (включительно)
- * Учитывает отпуска - дни в отпуске не считаются рабочими
+ * Учитывает отпуска - дни в отпуске не считаются рабочими;
+ * при режиме работы (workPattern) считаются дни по нему, например смены графика
  */
-async function countWorkingDays(startDate, endDate, vacations = null) {
+async function countWorkingDays(startDate, endDate, vacations = null, workPattern = null) {
     let count = 0;
     const current = new Date(startDate);
     current.setHours(0, 0, 0, 0);
@@ -209,7 +321,7 @@ async function countWorkingDays(startDate, endDate, vacations = null) {
     end.setHours(0, 0, 0, 0);
     
     while (current <= end) {
-        if (await isWorkingDay(new Date(current), vacations)) {
+        if (await isWorkingDay(new Date(current), vacations, workPattern)) {
             count++;
         }
         current.setDate(current.getDate() + 1);
@@ -218,15 +330,603 @@ async function countWorkingDays(startDate, endDate, vacations = null) {
     return count;
 }
 
+/**
+ * Рабочие часы дня при заданной недельной норме
+ * Дневная норма - неделя / 5, предпраздничный день короче на 1 час;
+ * при режиме работы - часы смены по нему с учетом доли ставки (см. getPatternDayHours)
+ */
+async function getWorkingHours(date, weeklyHours = DEFAULT_WEEKLY_HOURS, vacations = null, workPattern = null) {
+    const normalizedDate = new Date(date);
+    normalizedDate.setHours(0, 0, 0, 0);
+    
+    if (vacations && isDateInVacation(normalizedDate, vacations)) {
+        return 0;
+    }
+    
+    const dayInfo = await getDayInfo(normalizedDate);
+    return getPatternDayHours(normalizedDate, dayInfo, workPattern, weeklyHours);
+}
+
+/**
+ * Подсчет рабочих часов между датами (включительно)
+ * Учитывает отпуска - часы в дни отпуска не считаются
+ */
+async function countWorkingHours(startDate, endDate, vacations = null, weeklyHours = DEFAULT_WEEKLY_HOURS, workPattern = null) {
+    let hours = 0;
+    const current = new Date(startDate);
+    current.setHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setHours(0, 0, 0, 0);
+    
+    while (current <= end) {
+        hours += await getWorkingHours(new Date(current), weeklyHours, vacations, workPattern);
+        current.setDate(current.getDate() + 1);
+    }
+    
+    // Убираем погрешность дробных норм (36 ч / 5 = 7.2 ч)
+    return Math.round(hours * 10) / 10;
+}
+
+/**
+ * Стоимость часа по месячной норме часов
+ * При неполной ставке оклад (за полную ставку) уменьшается пропорционально доле ставки,
+ * working_days - рабочие дни или смены месяца по режиму работы
+ */
+async function calculateHourlyRates(monthlySalary, year, month, weeklyHours = DEFAULT_WEEKLY_HOURS, workPattern = null) {
+    const monthStart = new Date(year, month - 1, 1);
+    const monthEnd = new Date(year, month, 0);
+    
+    const normHours = await countWorkingHours(monthStart, monthEnd, null, weeklyHours, getNormWorkPattern(workPattern));
+    const workingDays = await countWorkingDays(monthStart, monthEnd, null, workPattern);
+    const hourlyRate = normHours > 0 ? monthlySalary * getPartTimeFraction(workPattern) / normHours : 0;
+    
+    return {
+        norm_hours: normHours,
+        working_days: workingDays,
+        hourly_rate: hourlyRate,
+        overtime_rate: hourlyRate * OVERTIME_FIRST_HOURS_MULTIPLIER,
+        overtime_rate_next: hourlyRate * OVERTIME_NEXT_HOURS_MULTIPLIER
+    };
+}
+
+/**
+ * Часы учетного периода при суммированном учете, в который попадает дата
+ * Норма - по производственному календарю пятидневки и уменьшается на дни отсутствий (ст. 104 ТК РФ),
+ * по графику - часы смен без отсутствий; переработка сверх нормы оплачивается
+ * по итогам учетного периода (ст. 152 ТК РФ)
+ *
+ * Возвращает { start, end, norm_hours, scheduled_hours, overtime_hours }
+ */
+async function calculateAccountingPeriodHours(date, workPattern, weeklyHours = DEFAULT_WEEKLY_HOURS, vacations = null) {
+    const { start, end } = getAccountingPeriod(workPattern, date);
+    await loadWorkingDaysBatch(start, end);
+    
+    const normHours = await countWorkingHours(start, end, vacations, weeklyHours, getNormWorkPattern(workPattern));
+    const scheduledHours = await countWorkingHours(start, end, vacations, weeklyHours, workPattern);
+    
+    return {
+        start,
+        end,
+        norm_hours: normHours,
+        scheduled_hours: scheduledHours,
+        overtime_hours: Math.max(0, Math.round((scheduledHours - normHours) * 10) / 10)
+    };
+}
+
+/**
+ * Оплата переработки за учетный период (см. calculateAccountingPeriodHours):
+ * первые 2 часа - ×1.5, остальные - ×2 (ст. 152 ТК РФ) по стоимости часа последнего месяца периода
+ * Возвращает надбавку к зарплате или null, если переработки нет
+ */
+async function calculateAccountingOvertimePay(period, salaryHistory, weeklyHours, workPattern) {
+    if (period.overtime_hours <= 0) {
+        return null;
+    }
+    
+    const salary = getSalaryOnDate(salaryHistory, period.end);
+    const { hourly_rate: hourlyRate } = await calculateHourlyRates(salary, period.end.getFullYear(), period.end.getMonth() + 1, weeklyHours, workPattern);
+    const firstHours = Math.min(period.overtime_hours, OVERTIME_FIRST_HOURS);
+    const nextHours = Math.round((period.overtime_hours - firstHours) * 10) / 10;
+    
+    return {
+        type: 'accounting_overtime',
+        title: 'Переработка за учетный период',
+        start_date: period.start,
+        end_date: period.end,
+        hours: period.overtime_hours,
+        first_hours: firstHours,
+        next_hours: nextHours,
+        hourly_rate: hourlyRate,
+        amount: Math.round(hourlyRate * (firstHours * OVERTIME_FIRST_HOURS_MULTIPLIER + nextHours * OVERTIME_NEXT_HOURS_MULTIPLIER))
+    };
+}
+
+/**
+ * Подсчет оплачиваемых дней отпуска: календарные дни без праздничных (ст. 120 ТК РФ)
+ */
+async function countVacationPaidDays(startDate, endDate) {
+    let paidDays = 0;
+    let holidays = 0;
+    const current = new Date(startDate);
+    current.setHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setHours(0, 0, 0, 0);
+    
+    while (current <= end) {
+        const dayInfo = await getDayInfo(current);
+        if (dayInfo.type === DAY_TYPES.HOLIDAY) {
+            holidays++;
+        } else {
+            paidDays++;
+        }
+        current.setDate(current.getDate() + 1);
+    }
+    
+    return { paidDays, holidays };
+}
+
+/**
+ * Дата выплаты отпускных: последний рабочий день не позднее чем за 3 дня до отпуска
+ */
+async function getVacationPayDate(vacationStart) {
+    const current = new Date(vacationStart);
+    current.setHours(0, 0, 0, 0);
+    current.setDate(current.getDate() - VACATION_PAY_ADVANCE_DAYS);
+    
+    while (!(await isWorkingDay(current, null))) {
+        current.setDate(current.getDate() - 1);
+    }
+    
+    return current;
+}
+
+/**
+ * Заработок за расчетный период отпускных - 12 календарных месяцев до месяца начала отпуска:
+ * начисления по окладу за полные месяцы и премии, выплаченные в эти месяцы.
+ * При повышении оклада начисления до повышения и премии в процентах оклада индексируются
+ * до оклада на начало отпуска, фиксированные премии - нет (п. 16 Положения, утв. ПП РФ N 922)
+ */
+async function calculateVacationBillingEarnings(vacationStart, salaryHistory, bonuses, weeklyHours, prorationBasis, workPattern) {
+    const currentSalary = getSalaryOnDate(salaryHistory, vacationStart);
+    const indexation = (salary) => salary > 0 ? Math.max(1, currentSalary / salary) : 1;
+    let total = 0;
+    
+    for (let offset = 12; offset >= 1; offset--) {
+        const monthStart = new Date(vacationStart.getFullYear(), vacationStart.getMonth() - offset, 1);
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+        
+        const earnings = await calculatePeriodEarnings(
+            salaryHistory, monthStart, monthEnd, monthStart, monthEnd, null, weeklyHours, prorationBasis, workPattern
+        );
+        for (const segment of earnings.segments) {
+            total += segment.amount * indexation(segment.salary);
+        }
+        
+        for (const bonus of bonuses) {
+            let accrualEnd;
+            if (bonus.frequency === BONUS_FREQUENCIES.ONCE) {
+                accrualEnd = bonus.date >= monthStart && bonus.date <= monthEnd ? bonus.date : null;
+            } else {
+                const period = getBonusAccrualPeriod(bonus, monthStart.getFullYear(), monthStart.getMonth() + 1);
+                accrualEnd = period ? period.end : null;
+            }
+            if (!accrualEnd) {
+                continue;
+            }
+            
+            const amount = calculateBonusAmount(bonus, salaryHistory, accrualEnd);
+            total += bonus.amount.type === 'percent'
+                ? amount * indexation(getSalaryOnDate(salaryHistory, accrualEnd))
+                : amount;
+        }
+    }
+    
+    return total;
+}
+
+/**
+ * Расчет отпускных за один отпуск
+ * Средний дневной заработок = заработок за 12 месяцев / 12 / 29.3,
+ * заработок за 12 месяцев - см. calculateVacationBillingEarnings
+ *
+ * salary - оклад (число) или история оклада, см. normalizeSalaryHistory;
+ * bonuses - проверенные премии (validateBonus)
+ */
+async function calculateVacationPay(vacation, salary, bonuses = [], weeklyHours = DEFAULT_WEEKLY_HOURS, prorationBasis = 'days', workPattern = null) {
+    const earnings12Months = await calculateVacationBillingEarnings(
+        vacation.start_date, normalizeSalaryHistory(salary), bonuses, weeklyHours, prorationBasis, workPattern
+    );
+    const averageDailyEarnings = earnings12Months / 12 / AVERAGE_MONTH_CALENDAR_DAYS;
+    const { paidDays, holidays } = await countVacationPaidDays(vacation.start_date, vacation.end_date);
+    
+    return {
+        type: 'vacation_pay',
+        date: await getVacationPayDate(vacation.start_date),
+        amount: Math.round(averageDailyEarnings * paidDays),
+        vacation_start: vacation.start_date,
+        vacation_end: vacation.end_date,
+        paid_days: paidDays,
+        holidays_excluded: holidays,
+        earnings_12_months: Math.round(earnings12Months),
+        average_daily_earnings: averageDailyEarnings
+    };
+}
+
+/**
+ * Максимальный средний дневной заработок для пособия в году
+ * (сумма предельных баз за два предыдущих года / 730)
+ */
+function getSickLeaveDailyEarningsLimit(year) {
+    const knownYears = Object.keys(SOCIAL_INSURANCE_BASE_LIMITS).map(Number);
+    const firstKnownYear = Math.min(...knownYears);
+    const lastKnownYear = Math.max(...knownYears);
+    
+    // Для лет вне таблицы используем ближайшие известные базы
+    const firstYear = Math.max(Math.min(year - 2, lastKnownYear - 1), firstKnownYear);
+    const secondYear = Math.max(Math.min(year - 1, lastKnownYear), firstKnownYear + 1);
+    
+    return (SOCIAL_INSURANCE_BASE_LIMITS[firstYear] + SOCIAL_INSURANCE_BASE_LIMITS[secondYear]) / SICK_LEAVE_BILLING_DAYS;
+}
+
+/**
+ * Расчет пособия по больничному
+ * Средний дневной заработок = заработок за 2 предыдущих года / 730 (не выше максимума),
+ * первые 3 дня оплачивает работодатель, остальные - Социальный фонд
+ *
+ * salary - оклад (число) или история оклада; заработок месяца - оклад на его первое число
+ */
+async function calculateSickLeavePay(absence, salary, tenurePercent, salaryMode) {
+    const year = absence.start_date.getFullYear();
+    const history = normalizeSalaryHistory(salary);
+    let earnings2Years = 0;
+    for (let month = 0; month < 24; month++) {
+        earnings2Years += getSalaryOnDate(history, new Date(year - 2, month, 1));
+    }
+    let limit = getSickLeaveDailyEarningsLimit(year);
+    
+    // Оклад на руки - ограничение тоже пересчитываем на руки
+    if (salaryMode !== 'gross') {
+        limit *= 1 - getNdflBrackets(year)[0].rate;
+    }
+    
+    const averageDailyEarnings = Math.min(earnings2Years / SICK_LEAVE_BILLING_DAYS, limit);
+    const dailyBenefit = averageDailyEarnings * tenurePercent / 100;
+    
+    const totalDays = Math.round((absence.end_date - absence.start_date) / (24 * 60 * 60 * 1000)) + 1;
+    const employerDays = Math.min(totalDays, SICK_LEAVE_EMPLOYER_DAYS);
+    const socialFundDays = totalDays - employerDays;
+    
+    // Пособие от Социального фонда приходит после закрытия больничного
+    let socialFundDate = null;
+    if (socialFundDays > 0) {
+        socialFundDate = new Date(absence.end_date);
+        for (let i = 0; i < SOCIAL_FUND_PAYMENT_WORKING_DAYS; i++) {
+            socialFundDate.setDate(socialFundDate.getDate() + 1);
+            while (!(await isWorkingDay(socialFundDate, null))) {
+                socialFundDate.setDate(socialFundDate.getDate() + 1);
+            }
+        }
+    }
+    
+    return {
+        average_daily_earnings: averageDailyEarnings,
+        daily_benefit: dailyBenefit,
+        tenure_percent: tenurePercent,
+        employer_days: employerDays,
+        employer_amount: Math.round(dailyBenefit * employerDays),
+        social_fund_days: socialFundDays,
+        social_fund_amount: Math.round(dailyBenefit * socialFundDays),
+        social_fund_date: socialFundDate
+    };
+}
+
+/**
+ * История оклада в едином виде: [{ amount, effective_date }] по возрастанию даты
+ * Число - один оклад на весь период; самый ранний оклад действует и до своей даты
+ */
+function normalizeSalaryHistory(salary) {
+    if (typeof salary === 'number') {
+        return [{ amount: salary, effective_date: null }];
+    }
+    
+    if (!Array.isArray(salary) || salary.length === 0) {
+        throw new Error('История оклада пуста');
+    }
+    
+    const history = salary.map(entry => {
+        let effectiveDate = null;
+        if (entry.effective_date) {
+            effectiveDate = new Date(entry.effective_date);
+            effectiveDate.setHours(0, 0, 0, 0);
+        }
+        return { amount: entry.amount, effective_date: effectiveDate };
+    });
+    history.sort((a, b) => (a.effective_date || 0) - (b.effective_date || 0));
+    history[0].effective_date = null;
+    
+    return history;
+}
+
+/**
+ * Оклад, действующий в указанный день
+ */
+function getSalaryOnDate(history, date) {
+    let amount = history[0].amount;
+    for (const entry of history) {
+        if (entry.effective_date && entry.effective_date > date) {
+            break;
+        }
+        amount = entry.amount;
+    }
+    return amount;
+}
+
+/**
+ * Оплата записи журнала работы: { date, hours, timeOff }
+ * В рабочий день часы - сверхурочные (первые 2 часа ×1.5, остальные ×2),
+ * в выходной или праздник - ×2, а если взят отгул - ×1 (день отдыха не оплачивается).
+ * Отгул за работу в рабочий день не предусмотрен - это ошибка в журнале.
+ * Часовая ставка - оклад на дату работы, деленный на норму часов месяца
+ */
+async function calculateExtraWorkPay(entry, salaryHistory, weeklyHours, workPattern = null) {
+    const date = new Date(entry.date);
+    date.setHours(0, 0, 0, 0);
+    
+    const salary = getSalaryOnDate(salaryHistory, date);
+    const { hourly_rate: hourlyRate } = await calculateHourlyRates(salary, date.getFullYear(), date.getMonth() + 1, weeklyHours, workPattern);
+    
+    if (await isWorkingDay(date, null, workPattern)) {
+        if (entry.timeOff) {
+            throw new Error(`Журнал переработок, ${date.toLocaleDateString('ru-RU')}: отгул бывает только за работу в выходной или праздник`);
+        }
+        
+        const firstHours = Math.min(entry.hours, OVERTIME_FIRST_HOURS);
+        const nextHours = entry.hours - firstHours;
+        return {
+            type: EXTRA_WORK_TYPES.OVERTIME,
+            title: 'Сверхурочная работа',
+            date,
+            hours: entry.hours,
+            first_hours: firstHours,
+            next_hours: nextHours,
+            hourly_rate: hourlyRate,
+            amount: Math.round(hourlyRate * (firstHours * OVERTIME_FIRST_HOURS_MULTIPLIER + nextHours * OVERTIME_NEXT_HOURS_MULTIPLIER))
+        };
+    }
+    
+    const multiplier = entry.timeOff ? HOLIDAY_WORK_TIME_OFF_MULTIPLIER : HOLIDAY_WORK_MULTIPLIER;
+    return {
+        type: EXTRA_WORK_TYPES.HOLIDAY,
+        title: 'Работа в выходной/праздник',
+        date,
+        hours: entry.hours,
+        multiplier,
+        time_off: Boolean(entry.timeOff),
+        hourly_rate: hourlyRate,
+        amount: Math.round(hourlyRate * entry.hours * multiplier)
+    };
+}
+
+/**
+ * Выплаты одной премии за месяцы расчета
+ * Премия добавляется к зарплате, с которой выплачивается (additions), а если такой выплаты
+ * в графике нет - возвращается отдельной выплатой (type: 'bonus'); разовые выплаты - всегда отдельно
+ */
+async function calculateBonusPayments(bonus, payments, months, salaryHistory, schedule) {
+    if (bonus.frequency === BONUS_FREQUENCIES.ONCE) {
+        const date = new Date(bonus.date);
+        date.setHours(0, 0, 0, 0);
+        return [{
+            type: 'bonus',
+            date,
+            amount: calculateBonusAmount(bonus, salaryHistory, date),
+            title: bonus.title,
+            frequency: bonus.frequency,
+            period_start: null,
+            period_end: null
+        }];
+    }
+    
+    const separatePayments = [];
+    
+    for (const month of months) {
+        const year = month.getFullYear();
+        const monthNum = month.getMonth() + 1;
+        const period = getBonusAccrualPeriod(bonus, year, monthNum);
+        if (!period) {
+            continue;
+        }
+        
+        const amount = calculateBonusAmount(bonus, salaryHistory, period.end);
+        const scheduleMonth = `${year}-${String(monthNum).padStart(2, '0')}`;
+        const salary = payments.find(p =>
+            p.type === 'salary' &&
+            p.schedule_month === scheduleMonth &&
+            (bonus.payout.day === null || p.schedule_day === bonus.payout.day)
+        );
+        
+        if (salary) {
+            salary.amount += amount;
+            salary.additions.push({
+                type: 'bonus',
+                title: bonus.title,
+                amount,
+                start_date: period.start,
+                end_date: period.end
+            });
+        } else {
+            separatePayments.push({
+                type: 'bonus',
+                date: await resolvePaymentDate({ day: bonus.payout.day || 1 }, year, monthNum, schedule.holidayShift),
+                amount,
+                title: bonus.title,
+                frequency: bonus.frequency,
+                period_start: period.start,
+                period_end: period.end
+            });
+        }
+    }
+    
+    return separatePayments;
+}
+
+/**
+ * Заработок за часть месяца по фактически отработанному времени
+ * Ставка дня (часа) - оклад, действовавший в этот день, деленный на рабочие дни (норму часов) месяца.
+ * Рабочие дни и часы - по режиму работы (workPattern), оклад - с учетом доли ставки;
+ * при суммированном учете ставка часа - по норме производственного календаря
+ *
+ * Возвращает { amount, segments }: segments - части периода с одним окладом
+ * ({ salary, rate, start, end, days, hours, amount }, rate - ставка дня или часа),
+ * по ним видно смешанный расчет при повышении
+ */
+async function calculatePeriodEarnings(history, start, end, monthStart, monthEnd, vacations, weeklyHours, prorationBasis, workPattern = null) {
+    const byHours = prorationBasis === 'hours';
+    const normPattern = getNormWorkPattern(workPattern);
+    const norm = byHours
+        ? await countWorkingHours(monthStart, monthEnd, null, weeklyHours, normPattern)
+        : await countWorkingDays(monthStart, monthEnd, null, normPattern);
+    const partTime = getPartTimeFraction(workPattern);
+    
+    const segments = [];
+    let amount = 0;
+    const current = new Date(start);
+    current.setHours(0, 0, 0, 0);
+    const last = new Date(end);
+    last.setHours(0, 0, 0, 0);
+    
+    while (current <= last) {
+        const day = new Date(current);
+        const salary = getSalaryOnDate(history, day);
+        
+        let segment = segments[segments.length - 1];
+        if (!segment || segment.salary !== salary) {
+            const rate = norm > 0 ? salary * partTime / norm : 0;
+            segment = { salary, rate, start: day, end: day, days: 0, hours: 0, amount: 0 };
+            segments.push(segment);
+        }
+        segment.end = day;
+        
+        const hours = await getWorkingHours(day, weeklyHours, vacations, workPattern);
+        if (hours > 0) {
+            const earned = segment.rate * (byHours ? hours : 1);
+            segment.days++;
+            segment.hours += hours;
+            segment.amount += earned;
+            amount += earned;
+        }
+        
+        current.setDate(current.getDate() + 1);
+    }
+    
+    return { amount, segments };
+}
+
+/**
+ * Заработок за часть месяца (см. calculatePeriodEarnings)
+ * salary - оклад (число) или история оклада
+ */
+async function calculateEarnedAmount(salary, start, end, monthStart, monthEnd, vacations, weeklyHours, prorationBasis, workPattern = null) {
+    const earnings = await calculatePeriodEarnings(
+        normalizeSalaryHistory(salary), start, end, monthStart, monthEnd, vacations, weeklyHours, prorationBasis, workPattern
+    );
+    return earnings.amount;
+}
+
+/**
+ * Сумма аванса за период аванса по выбранному способу
+ * Процентный и фиксированный аванс уменьшаются пропорционально дням отсутствия
+ * в периоде аванса и не превышают заработок за весь месяц
+ */
+async function calculateAdvanceAmount(salary, advancePeriod, vacations, advance, weeklyHours, prorationBasis, workPattern = null) {
+    const earnedInPeriod = await calculateEarnedAmount(
+        salary, advancePeriod.start, advancePeriod.end,
+        advancePeriod.monthStart, advancePeriod.monthEnd, vacations, weeklyHours, prorationBasis, workPattern
+    );
+    
+    if (advance.method === ADVANCE_METHODS.PROPORTIONAL) {
+        return Math.round(earnedInPeriod);
+    }
+    
+    // Процент - от оклада, действующего на конец периода аванса (с учетом доли ставки)
+    const fullAdvance = advance.method === ADVANCE_METHODS.PERCENT
+        ? getSalaryOnDate(normalizeSalaryHistory(salary), advancePeriod.end) * getPartTimeFraction(workPattern) * advance.value / 100
+        : advance.value;
+    
+    const periodWorkingDays = await countWorkingDays(advancePeriod.start, advancePeriod.end, null, workPattern);
+    const periodWorkedDays = await countWorkingDays(advancePeriod.start, advancePeriod.end, vacations, workPattern);
+    const workedShare = periodWorkingDays > 0 ? periodWorkedDays / periodWorkingDays : 0;
+    
+    const monthTotal = await calculateEarnedAmount(
+        salary, advancePeriod.monthStart, advancePeriod.monthEnd,
+        advancePeriod.monthStart, advancePeriod.monthEnd, vacations, weeklyHours, prorationBasis, workPattern
+    );
+    
+    return Math.round(Math.min(fullAdvance * workedShare, monthTotal));
+}
+
+/**
+ * Сколько месяцев после текущего нужно рассчитать, чтобы получить count зарплат по графику
+ * Считаем по месяцу с наименьшим числом выплат; запас - на уже прошедшие выплаты
+ * текущего месяца и перенос последней выплаты на следующий месяц
+ */
+function getMonthsForPayments(schedule, count) {
+    const MONTHS_MARGIN = 2;
+    let minPaymentsPerMonth = Infinity;
+    for (let monthNum = 1; monthNum <= 12; monthNum++) {
+        minPaymentsPerMonth = Math.min(minPaymentsPerMonth, getPaymentRulesForMonth(schedule, monthNum).length);
+    }
+    
+    return Math.ceil(count / Math.max(minPaymentsPerMonth, 1)) + MONTHS_MARGIN;
+}
+
 /**
  * Рассчитать следующие зарплаты с учетом рабочих дней и отпусков
+ * Отпускные возвращаются отдельными выплатами (type: 'vacation_pay')
+ *
+ * monthlySalary - оклад (число) или история оклада [{ amount, effective_date }]:
+ * при повышении внутри периода каждый день оплачивается по действовавшему окладу
+ * schedule - график выплат (см. pay-schedule.js), по умолчанию 14 и 29 числа
+ *
+ * options.weeklyHours - недельная норма часов (40/39/36/24)
+ * options.prorationBasis - 'days' (по рабочим дням) или 'hours' (по норме часов)
+ * options.salaryMode - 'net' (monthlySalary на руки) или 'gross' (до вычета НДФЛ)
+ * options.sickLeavePercent - процент оплаты больничного по страховому стажу (60/80/100)
+ * options.advance - способ расчета аванса: { method: 'proportional' | 'percent' | 'fixed', value }
+ * options.asOf - дата, на которую считаем (по умолчанию сегодня); выплаты не позже нее помечаются paid
+ * options.range - { start, end }: вернуть все выплаты за период вместо count ближайших
+ * options.bonuses - премии и разовые выплаты (см. bonuses.js)
+ * options.workLog - сверхурочная работа и работа в выходные: [{ date, hours, timeOff }]
+ * options.workPattern - режим работы (см. work-pattern.js): смены графика, свои дни недели,
+ * доля ставки; при суммированном учете оклад выплачивается по норме производственного календаря
+ * за вычетом отсутствий, а переработка - в первую зарплату после окончания учетного периода
  */
-async function calculateNextSalaries(monthlySalary, paymentDays = null, count = 5, vacations = null) {
-    const today = new Date();
+async function calculateNextSalaries(monthlySalary, schedule = null, count = 5, vacations = null, options = {}) {
+    const today = options.asOf ? new Date(options.asOf) : new Date();
     today.setHours(0, 0, 0, 0);
     
-    const salaries = [];
-    paymentDays = paymentDays || SALARY_PAYMENT_DAYS;
+    let range = null;
+    if (options.range) {
+        range = { start: new Date(options.range.start), end: new Date(options.range.end) };
+        range.start.setHours(0, 0, 0, 0);
+        range.end.setHours(0, 0, 0, 0);
+        if (range.start > range.end) {
+            throw new Error('Начало периода позже его конца');
+        }
+    }
+    
+    // Все выплаты с начала года, включая прошедшие (для НДФЛ нарастающим итогом)
+    const payments = [];
+    let futureSalariesCount = 0;
+    schedule = schedule || DEFAULT_PAY_SCHEDULE;
+    const weeklyHours = options.weeklyHours || DEFAULT_WEEKLY_HOURS;
+    const workPattern = options.workPattern ? validateWorkPattern(options.workPattern) : null;
+    const normPattern = getNormWorkPattern(workPattern);
+    const prorationBasis = options.prorationBasis || 'days';
+    const salaryMode = options.salaryMode || 'net';
+    const sickLeavePercent = options.sickLeavePercent || SICK_LEAVE_TENURE_PERCENTS[SICK_LEAVE_TENURE_PERCENTS.length - 1];
+    const advance = options.advance || { method: ADVANCE_METHODS.PROPORTIONAL };
+    const salaryHistory = normalizeSalaryHistory(monthlySalary);
     
     // Нормализуем отпуска
     const normalizedVacations = [];
@@ -251,7 +951,8 @@ async function calculateNextSalaries(monthlySalary, paymentDays = null, count =
             
             normalizedVacations.push({
                 start_date: startDate,
-                end_date: endDate
+                end_date: endDate,
+                type: vac.type || ABSENCE_TYPES.VACATION
             });
         }
     }
@@ -259,12 +960,17 @@ async function calculateNextSalaries(monthlySalary, paymentDays = null, count =
     vacations = normalizedVacations;
     
     // Получаем все месяцы для расчета (с запасом)
-    const MONTHS_BUFFER_MULTIPLIER = 2;
-    const currentMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    // Начинаем с января: прошедшие выплаты года нужны для НДФЛ нарастающим итогом
+    const yearStartMonth = new Date((range ? range.start : today).getFullYear(), 0, 1);
     const monthsToCheck = [];
     
-    for (let i = 0; i < count * MONTHS_BUFFER_MULTIPLIER; i++) {
-        const month = new Date(currentMonth);
+    // За период - до месяца после его конца (выплату могут перенести на следующий рабочий день)
+    const monthsCount = range
+        ? (range.end.getFullYear() - yearStartMonth.getFullYear()) * 12 + range.end.getMonth() + 2
+        : today.getMonth() + getMonthsForPayments(schedule, count);
+    
+    for (let i = 0; i < monthsCount; i++) {
+        const month = new Date(yearStartMonth);
         month.setMonth(month.getMonth() + i);
         monthsToCheck.push(new Date(month.getFullYear(), month.getMonth(), 1));
     }
@@ -295,171 +1001,232 @@ async function calculateNextSalaries(monthlySalary, paymentDays = null, count =
     }
     
     for (const month of uniqueMonths) {
-        if (salaries.length >= count) {
+        if (!range && futureSalariesCount >= count) {
             break;
         }
         
         const year = month.getFullYear();
         const monthNum = month.getMonth() + 1;
         
-        // Определяем последний день месяца
-        const lastDay = new Date(year, monthNum, 0).getDate();
-        
-        // Проверяем дни выплат
-        let daysToCheck = [...paymentDays];
-        if (monthNum === 12) {
-            // В декабре заменяем 29 на 26
-            if (daysToCheck.includes(29)) {
-                daysToCheck = daysToCheck.filter(d => d !== 29);
-                if (!daysToCheck.includes(26)) {
-                    daysToCheck.push(26);
-                }
-            }
-        }
-        
-        for (const paymentDay of daysToCheck) {
-            if (salaries.length >= count) {
+        for (const rule of getPaymentRulesForMonth(schedule, monthNum)) {
+            if (!range && futureSalariesCount >= count) {
                 break;
             }
             
-            let paymentDate;
+            const paymentDate = await resolvePaymentDate(rule, year, monthNum, schedule.holidayShift);
             
-            // Если день выплаты больше, чем дней в месяце, используем последний рабочий день месяца
-            if (lastDay < paymentDay) {
-                paymentDate = await getLastWorkingDayOfMonth(year, monthNum, null);
-            } else {
-                const salaryDate = new Date(year, monthNum - 1, paymentDay);
-                salaryDate.setHours(0, 0, 0, 0);
-                
-                // Если день выплаты - выходной/праздник, переносим на предыдущий рабочий день
-                if (await isWorkingDay(salaryDate, null)) {
-                    paymentDate = salaryDate;
-                } else {
-                    paymentDate = await getPreviousWorkingDay(salaryDate, null);
+            // Период оплаты и рабочие дни месяца периода
+            // При суммированном учете оклад идет по норме (normPattern), смены графика - только в переработку
+            const period = resolvePaymentPeriod(rule, year, monthNum);
+            const periodStart = period.start;
+            const periodEnd = period.end;
+            const workingDaysInPeriodMonth = await countWorkingDays(period.monthStart, period.monthEnd, null, normPattern);
+            
+            // Рабочие дни с учетом отпусков (фактически отработанные)
+            const workedDays = await countWorkingDays(periodStart, periodEnd, vacations, normPattern);
+            // Рабочие дни без отпусков (для вычета)
+            const workedDaysWithoutVacations = await countWorkingDays(periodStart, periodEnd, null, normPattern);
+            const vacationDaysDeducted = workedDaysWithoutVacations - workedDays;
+            
+            // Вычтенные дни по типам отсутствий
+            const absenceDaysByType = {};
+            for (const type of Object.values(ABSENCE_TYPES)) {
+                const absencesOfType = vacations.filter(v => v.type === type);
+                if (absencesOfType.length > 0) {
+                    absenceDaysByType[type] = workedDaysWithoutVacations - await countWorkingDays(periodStart, periodEnd, absencesOfType, normPattern);
                 }
             }
             
-            // Пропускаем зарплаты, которые уже должны были прийти
-            // Нормализуем даты для корректного сравнения
-            paymentDate.setHours(0, 0, 0, 0);
-            const todayNormalized = new Date(today);
-            todayNormalized.setHours(0, 0, 0, 0);
+            // Норма часов месяца, к которому относится период
+            const hoursInPeriodMonth = await countWorkingHours(period.monthStart, period.monthEnd, null, weeklyHours, normPattern);
+            const workedHours = await countWorkingHours(periodStart, periodEnd, vacations, weeklyHours, normPattern);
             
-            if (paymentDate <= todayNormalized) {
-                continue;
-            }
+            // Каждый день - по окладу, действовавшему в этот день
+            const earnings = await calculatePeriodEarnings(
+                salaryHistory, periodStart, periodEnd, period.monthStart, period.monthEnd, vacations, weeklyHours, prorationBasis, normPattern
+            );
+            let amount = Math.round(earnings.amount);
             
-            // Определяем период оплаты в зависимости от дня выплаты
-            let periodStart, periodEnd, workingDaysInPeriodMonth, dailyRate;
+            // Процентный или фиксированный аванс: окончательный расчет = заработок за месяц - аванс
+            const paymentKind = getPaymentKind(rule);
+            let monthTotal = null;
+            let advanceDeducted = null;
             
-            // СПЕЦИАЛЬНАЯ ЛОГИКА ДЛЯ ДЕКАБРЯ
-            if (monthNum === 12 && paymentDay === 26) {
-                // 26 декабря - зарплата за период с 1 по 19 декабря
-                periodStart = new Date(year, 11, 1);
-                periodStart.setHours(0, 0, 0, 0);
-                periodEnd = new Date(year, 11, 19);
-                periodEnd.setHours(0, 0, 0, 0);
-                
-                // Рабочие дни считаем в декабре
-                const firstDay = new Date(year, 11, 1);
-                firstDay.setHours(0, 0, 0, 0);
-                const lastDayDate = new Date(year, 11, 31);
-                lastDayDate.setHours(0, 0, 0, 0);
-                workingDaysInPeriodMonth = await countWorkingDays(firstDay, lastDayDate, null);
-                dailyRate = workingDaysInPeriodMonth > 0 ? monthlySalary / workingDaysInPeriodMonth : 0;
-            } else if (monthNum === 1 && paymentDay === 14) {
-                // 14 января - зарплата за период с 20 по 31 декабря предыдущего года
-                const prevYear = year - 1;
-                periodStart = new Date(prevYear, 11, 20);
-                periodStart.setHours(0, 0, 0, 0);
-                periodEnd = new Date(prevYear, 11, 31);
-                periodEnd.setHours(0, 0, 0, 0);
-                
-                // Рабочие дни считаем в декабре
-                const firstDay = new Date(prevYear, 11, 1);
-                firstDay.setHours(0, 0, 0, 0);
-                const lastDayDate = new Date(prevYear, 11, 31);
-                lastDayDate.setHours(0, 0, 0, 0);
-                workingDaysInPeriodMonth = await countWorkingDays(firstDay, lastDayDate, null);
-                dailyRate = workingDaysInPeriodMonth > 0 ? monthlySalary / workingDaysInPeriodMonth : 0;
-            } else if (paymentDay === 14 && monthNum === 12) {
-                // 14 декабря - стандартная выплата за период с 16 ноября по 30 ноября
-                const prevYear = year;
-                const prevMonthNum = 11;
-                
-                // Последний день ноября
-                const prevMonthLast = new Date(year, 10, 30);
-                prevMonthLast.setHours(0, 0, 0, 0);
-                
-                // Период: с 16 числа ноября
-                periodStart = new Date(prevYear, 10, 16);
-                periodStart.setHours(0, 0, 0, 0);
-                periodEnd = prevMonthLast;
-                
-                // Рабочие дни считаем в ноябре
-                const prevMonthFirst = new Date(prevYear, 10, 1);
-                prevMonthFirst.setHours(0, 0, 0, 0);
-                workingDaysInPeriodMonth = await countWorkingDays(prevMonthFirst, prevMonthLast, null);
-                dailyRate = workingDaysInPeriodMonth > 0 ? monthlySalary / workingDaysInPeriodMonth : 0;
-            } else if (paymentDay === 14 && monthNum !== 1) {
-                // 14 числа (кроме января и декабря) - зарплата за период с 16 числа предыдущего месяца
-                const prevMonthNum = monthNum - 1;
-                const prevYear = year;
-                
-                // Последний день предыдущего месяца
-                const prevMonthLast = new Date(year, monthNum - 1, 0);
-                prevMonthLast.setHours(0, 0, 0, 0);
-                
-                // Период: с 16 числа предыдущего месяца
-                periodStart = new Date(prevYear, prevMonthNum - 1, 16);
-                periodStart.setHours(0, 0, 0, 0);
-                periodEnd = prevMonthLast;
-                
-                // Рабочие дни считаем в предыдущем месяце
-                const prevMonthFirst = new Date(prevYear, prevMonthNum - 1, 1);
-                prevMonthFirst.setHours(0, 0, 0, 0);
-                workingDaysInPeriodMonth = await countWorkingDays(prevMonthFirst, prevMonthLast, null);
-                dailyRate = workingDaysInPeriodMonth > 0 ? monthlySalary / workingDaysInPeriodMonth : 0;
-            } else {
-                // 29 числа - зарплата за период с 1 по 15 число текущего месяца
-                periodStart = new Date(year, monthNum - 1, 1);
-                periodStart.setHours(0, 0, 0, 0);
-                periodEnd = new Date(year, monthNum - 1, 15);
-                periodEnd.setHours(0, 0, 0, 0);
-                
-                // Рабочие дни считаем в текущем месяце
-                const firstDay = new Date(year, monthNum - 1, 1);
-                firstDay.setHours(0, 0, 0, 0);
-                const lastDayDate = new Date(year, monthNum - 1, lastDay);
-                lastDayDate.setHours(0, 0, 0, 0);
-                workingDaysInPeriodMonth = await countWorkingDays(firstDay, lastDayDate, null);
-                dailyRate = workingDaysInPeriodMonth > 0 ? monthlySalary / workingDaysInPeriodMonth : 0;
+            if (advance.method !== ADVANCE_METHODS.PROPORTIONAL) {
+                if (paymentKind === PAYMENT_KINDS.ADVANCE) {
+                    amount = await calculateAdvanceAmount(salaryHistory, period, vacations, advance, weeklyHours, prorationBasis, normPattern);
+                } else if (paymentKind === PAYMENT_KINDS.FINAL) {
+                    const advanceInfo = findAdvanceRule(schedule, period.monthStart.getFullYear(), period.monthStart.getMonth() + 1);
+                    if (advanceInfo) {
+                        const advancePeriod = resolvePaymentPeriod(advanceInfo.rule, advanceInfo.year, advanceInfo.monthNum);
+                        advanceDeducted = await calculateAdvanceAmount(salaryHistory, advancePeriod, vacations, advance, weeklyHours, prorationBasis, normPattern);
+                        monthTotal = Math.round(await calculateEarnedAmount(
+                            salaryHistory, period.monthStart, period.monthEnd,
+                            period.monthStart, period.monthEnd, vacations, weeklyHours, prorationBasis, normPattern
+                        ));
+                        amount = Math.max(0, monthTotal - advanceDeducted);
+                    }
+                }
             }
             
-            // Рабочие дни с учетом отпусков (фактически отработанные)
-            const workedDays = await countWorkingDays(periodStart, periodEnd, vacations);
-            // Рабочие дни без отпусков (для вычета)
-            const workedDaysWithoutVacations = await countWorkingDays(periodStart, periodEnd, null);
-            const vacationDaysDeducted = workedDaysWithoutVacations - workedDays;
-            const amount = Math.round(dailyRate * workedDays);
-            
             // Защита от переполнения
             const MAX_SALARY_AMOUNT = 5000000;
             const finalAmount = amount > MAX_SALARY_AMOUNT ? MAX_SALARY_AMOUNT : amount;
             
-            salaries.push({
+            // Зарплаты, которые уже должны были прийти, нужны только для дохода с начала года
+            if (paymentDate > today) {
+                futureSalariesCount++;
+            }
+            
+            payments.push({
+                type: 'salary',
                 date: paymentDate,
                 amount: finalAmount,
                 worked_days: workedDays,
                 total_days: workingDaysInPeriodMonth,
                 period_start: periodStart,
                 period_end: periodEnd,
-                vacation_days_deducted: vacationDaysDeducted
+                vacation_days_deducted: vacationDaysDeducted,
+                absence_days_by_type: absenceDaysByType,
+                additions: [],
+                worked_hours: workedHours,
+                total_hours: hoursInPeriodMonth,
+                proration_basis: prorationBasis,
+                summarized_hours: Boolean(workPattern && workPattern.summarizedHours),
+                schedule_day: rule.day,
+                schedule_month: `${year}-${String(monthNum).padStart(2, '0')}`,
+                salary_segments: earnings.segments.map(segment => ({ ...segment, amount: Math.round(segment.amount) })),
+                payment_kind: paymentKind,
+                advance_method: advance.method,
+                month_total: monthTotal,
+                advance_deducted: advanceDeducted
             });
         }
     }
     
-    return salaries.slice(0, count);
+    payments.sort((a, b) => a.date - b.date);
+    
+    const bonuses = (options.bonuses || []).map(validateBonus);
+    
+    for (const absence of vacations) {
+        if (absence.type === ABSENCE_TYPES.VACATION) {
+            // Отпускные - отдельные выплаты перед каждым отпуском
+            payments.push(await calculateVacationPay(absence, salaryHistory, bonuses, weeklyHours, prorationBasis, normPattern));
+        } else if (absence.type === ABSENCE_TYPES.SICK) {
+            const sickPay = await calculateSickLeavePay(absence, salaryHistory, sickLeavePercent, salaryMode);
+            
+            // Дни за счет работодателя - в ближайшую зарплату после закрытия больничного
+            const nextSalary = payments.find(p => p.type === 'salary' && p.date > absence.end_date);
+            if (nextSalary) {
+                nextSalary.amount += sickPay.employer_amount;
+                nextSalary.additions.push({
+                    type: 'sick_pay_employer',
+                    title: 'Больничный (за счет работодателя)',
+                    amount: sickPay.employer_amount,
+                    days: sickPay.employer_days,
+                    start_date: absence.start_date,
+                    end_date: absence.end_date,
+                    percent: sickPay.tenure_percent
+                });
+            }
+            
+            // Остальные дни - отдельная выплата от Социального фонда
+            if (sickPay.social_fund_days > 0) {
+                payments.push({
+                    type: 'sick_pay_social_fund',
+                    date: sickPay.social_fund_date,
+                    amount: sickPay.social_fund_amount,
+                    sick_start: absence.start_date,
+                    sick_end: absence.end_date,
+                    paid_days: sickPay.social_fund_days,
+                    tenure_percent: sickPay.tenure_percent,
+                    average_daily_earnings: sickPay.average_daily_earnings
+                });
+            }
+        }
+    }
+    
+    // Суммированный учет: часы смен сверх нормы учетного периода - в первую зарплату после его окончания.
+    // Учитываем только периоды целиком внутри рассчитанных периодов зарплаты и не раньше начала графика смен
+    const salaries = payments.filter(p => p.type === 'salary').sort((a, b) => a.date - b.date);
+    if (workPattern && workPattern.summarizedHours && salaries.length > 0) {
+        const rangeStart = workPattern.anchor && workPattern.anchor > salaries[0].period_start
+            ? workPattern.anchor
+            : salaries[0].period_start;
+        const rangeEnd = salaries.reduce((max, p) => p.period_end > max ? p.period_end : max, salaries[0].period_end);
+        
+        const nextAccountingPeriod = (period) =>
+            getAccountingPeriod(workPattern, new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() + 1));
+        let accountingPeriod = getAccountingPeriod(workPattern, rangeStart);
+        if (accountingPeriod.start < rangeStart) {
+            accountingPeriod = nextAccountingPeriod(accountingPeriod);
+        }
+        
+        while (accountingPeriod.end <= rangeEnd) {
+            const periodEnd = accountingPeriod.end;
+            const salary = salaries.find(p => p.date > periodEnd);
+            if (!salary) break;
+            
+            const periodHours = await calculateAccountingPeriodHours(periodEnd, workPattern, weeklyHours, vacations);
+            const overtimePay = await calculateAccountingOvertimePay(periodHours, salaryHistory, weeklyHours, workPattern);
+            if (overtimePay) {
+                salary.amount += overtimePay.amount;
+                salary.additions.push(overtimePay);
+            }
+            accountingPeriod = nextAccountingPeriod(accountingPeriod);
+        }
+    }
+    
+    // Сверхурочные и работа в выходные - в выплату за период, в который они пришлись
+    for (const entry of options.workLog || []) {
+        const extraPay = await calculateExtraWorkPay(entry, salaryHistory, weeklyHours, workPattern);
+        const salary = payments.find(p =>
+            p.type === 'salary' && p.period_start <= extraPay.date && p.period_end >= extraPay.date
+        );
+        if (!salary) {
+            throw new Error(`Журнал переработок, ${extraPay.date.toLocaleDateString('ru-RU')}: дата вне рассчитанных периодов зарплаты`);
+        }
+        salary.amount += extraPay.amount;
+        salary.additions.push(extraPay);
+    }
+    
+    // Премии и разовые выплаты
+    for (const bonus of bonuses) {
+        payments.push(...await calculateBonusPayments(bonus, payments, uniqueMonths, salaryHistory, schedule));
+    }
+    
+    payments.sort((a, b) => a.date - b.date);
+    
+    // НДФЛ нарастающим итогом с начала года выплаты
+    const ytdGrossByYear = {};
+    for (const payment of payments) {
+        const paymentYear = payment.date.getFullYear();
+        const ytdGross = ytdGrossByYear[paymentYear] || 0;
+        const tax = splitPaymentTax(payment.amount, ytdGross, paymentYear, salaryMode);
+        ytdGrossByYear[paymentYear] = ytdGross + tax.gross;
+        
+        Object.assign(payment, {
+            amount: tax.net,
+            gross: tax.gross,
+            ndfl: tax.ndfl,
+            ndfl_rates: tax.rates,
+            ytd_gross: ytdGross + tax.gross,
+            paid: payment.date <= today
+        });
+    }
+    
+    if (range) {
+        return payments.filter(p => p.date >= range.start && p.date <= range.end);
+    }
+    
+    // Оставляем count будущих зарплат и прочие выплаты до последней из них
+    const futureSalaries = payments.filter(p => p.type === 'salary' && p.date > today).slice(0, count);
+    if (futureSalaries.length === 0) {
+        return [];
+    }
+    
+    const lastSalaryDate = futureSalaries[futureSalaries.length - 1].date;
+    return payments.filter(p => p.date > today && p.date <= lastSalaryDate && (p.type !== 'salary' || futureSalaries.includes(p)));
 }
 
 /**
@@ -481,14 +1248,21 @@ function parseDate(dateStr) {
     for (const format of formats) {
         const match = dateStr.match(format.pattern);
         if (match) {
+            let date;
             try {
-                const date = format.handler(match);
-                if (date && !isNaN(date.getTime())) {
-                    return date;
-                }
+                date = format.handler(match);
             } catch (e) {
                 continue;
             }
+            if (!date || isNaN(date.getTime())) {
+                continue;
+            }
+            
+            // Во всех форматах день и месяц - первые две группы; 31.02 не должно превращаться в 03.03
+            if (date.getDate() !== parseInt(match[1], 10) || date.getMonth() !== parseInt(match[2], 10) - 1) {
+                throw new Error(`Несуществующая дата: ${dateStr}`);
+            }
+            return date;
         }
     }
     
@@ -496,76 +1270,202 @@ function parseDate(dateStr) {
 }
 
 /**
- * Парсинг одной строки с датой/диапазоном отпуска
+ * Определить тип отсутствия по пометке в строке
+ * Возвращает тип и строку без пометки
  */
-function parseVacationLine(line) {
-    line = line.trim();
-    if (!line) {
-        return null;
+function extractAbsenceType(line) {
+    for (const type in ABSENCE_TYPE_TAGS) {
+        const match = line.match(ABSENCE_TYPE_TAGS[type]);
+        if (match) {
+            const text = line.replace(match[0], ' ').replace(/[:;,]/g, ' ').trim();
+            return { type, text };
+        }
+    }
+    
+    return { type: ABSENCE_TYPES.VACATION, text: line };
+}
+
+/**
+ * Разбор одной строки с датой/диапазоном отпуска с объяснением ошибок
+ * Строка может содержать пометку типа: "больничный", "sick", "за свой счет"
+ * Возвращает { start_date, end_date, type, swapped } (swapped - даты были указаны в обратном порядке),
+ * при ошибке бросает исключение с причиной
+ */
+function parseAbsenceLine(line) {
+    const absence = extractAbsenceType(line.trim());
+    const type = absence.type;
+    const text = absence.text;
+    if (!text) {
+        throw new Error('не указаны даты');
     }
     
     const MIN_YEAR = 2020;
     const MAX_YEAR = new Date().getFullYear() + 5;
     
+    // Диапазон через дефис или две даты через пробел ("01.03 05.03" - одна дата в формате "ДД ММ",
+    // поэтому сначала пробуем разобрать строку целиком)
+    let parts;
+    if (text.includes('-')) {
+        parts = text.split('-', 2).map(part => part.trim());
+    } else if (text.split(/\s+/).length === 2 && !/^\d{1,2}\s+\d{1,2}$/.test(text)) {
+        parts = text.split(/\s+/);
+    } else {
+        parts = [text, text];
+    }
+    
+    let startDate = parseDate(parts[0]);
+    let endDate = parseDate(parts[1]);
+    
+    const swapped = startDate > endDate;
+    if (swapped) {
+        [startDate, endDate] = [endDate, startDate];
+    }
+    
+    if (startDate.getFullYear() < MIN_YEAR || endDate.getFullYear() > MAX_YEAR) {
+        throw new Error(`год вне диапазона ${MIN_YEAR}..${MAX_YEAR}`);
+    }
+    
+    return { start_date: startDate, end_date: endDate, type, swapped };
+}
+
+/**
+ * Парсинг одной строки с датой/диапазоном отпуска
+ * Возвращает null, если строку не удалось разобрать (причину дает parseAbsenceLine)
+ */
+function parseVacationLine(line) {
+    if (!line.trim()) {
+        return null;
+    }
+    
     try {
-        // Пробуем диапазон через дефис
-        if (line.includes('-')) {
-            const parts = line.split('-', 2);
-            if (parts.length === 2) {
-                let startDate = parseDate(parts[0].trim());
-                let endDate = parseDate(parts[1].trim());
-                
-                // Валидация: startDate <= endDate
-                if (startDate > endDate) {
-                    [startDate, endDate] = [endDate, startDate];
-                }
-                
-                // Валидация диапазона лет
-                if (startDate.getFullYear() < MIN_YEAR || endDate.getFullYear() > MAX_YEAR) {
-                    return null;
-                }
-                
-                return { start_date: startDate, end_date: endDate };
+        const { start_date, end_date, type } = parseAbsenceLine(line);
+        return { start_date, end_date, type };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Объединение пересекающихся отсутствий одного типа
+ * items - [{ start_date, end_date, type, lines }], lines - номера исходных строк
+ * Возвращает { absences, overlaps: [{ line, withLine, type: 'duplicate' | 'merged' | 'conflict' }] }:
+ * повторы и пересечения одного типа объединяются, пересечения разных типов только отмечаются
+ */
+function mergeOverlappingAbsences(items) {
+    const sorted = [...items].sort((a, b) => a.start_date - b.start_date || a.lines[0] - b.lines[0]);
+    const merged = [];
+    const overlaps = [];
+    
+    for (const item of sorted) {
+        const previous = merged.filter(m => m.type === item.type).pop();
+        if (previous && item.start_date <= previous.end_date) {
+            const isDuplicate = item.start_date.getTime() === previous.start_date.getTime()
+                && item.end_date.getTime() === previous.end_date.getTime();
+            overlaps.push({ line: item.lines[0], withLine: previous.lines[0], type: isDuplicate ? 'duplicate' : 'merged' });
+            if (item.end_date > previous.end_date) {
+                previous.end_date = new Date(item.end_date);
             }
+            previous.lines.push(...item.lines);
+        } else {
+            merged.push({ ...item, start_date: new Date(item.start_date), end_date: new Date(item.end_date), lines: [...item.lines] });
         }
-        
-        // Пробуем диапазон через пробел (две даты)
-        const parts = line.split(/\s+/);
-        if (parts.length === 2) {
-            try {
-                let startDate = parseDate(parts[0]);
-                let endDate = parseDate(parts[1]);
-                
-                // Валидация: startDate <= endDate
-                if (startDate > endDate) {
-                    [startDate, endDate] = [endDate, startDate];
-                }
-                
-                // Валидация диапазона лет
-                if (startDate.getFullYear() < MIN_YEAR || endDate.getFullYear() > MAX_YEAR) {
-                    return null;
-                }
-                
-                return { start_date: startDate, end_date: endDate };
-            } catch (e) {
-                // Игнорируем ошибку
+    }
+    
+    // Больничный во время отпуска и т.п. - не объединяем, но сообщаем
+    for (let i = 0; i < merged.length; i++) {
+        for (let j = i + 1; j < merged.length && merged[j].start_date <= merged[i].end_date; j++) {
+            if (merged[j].type !== merged[i].type) {
+                overlaps.push({ line: merged[j].lines[0], withLine: merged[i].lines[0], type: 'conflict' });
             }
         }
+    }
+    
+    return {
+        absences: merged.map(({ start_date, end_date, type }) => ({ start_date, end_date, type })),
+        overlaps
+    };
+}
+
+/**
+ * Разбор текста отпусков с диагностикой по строкам
+ *
+ * Возвращает {
+ *   lines: [{ number, text, status: 'ok' | 'warning' | 'error', reasons, vacation }] - непустые строки,
+ *   vacations - отсутствия после объединения пересечений, по возрастанию даты,
+ *   errors - количество строк с ошибками
+ * }
+ * Строки, начинающиеся с #, - комментарии
+ */
+function analyzeVacationText(text) {
+    const lines = [];
+    text.split('\n').forEach((rawLine, index) => {
+        const trimmed = rawLine.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
         
-        // Одна дата
-        const date = parseDate(line);
-        
-        // Валидация диапазона лет
-        if (date.getFullYear() < MIN_YEAR || date.getFullYear() > MAX_YEAR) {
-            return null;
+        const entry = { number: index + 1, text: trimmed, status: 'ok', reasons: [], vacation: null };
+        try {
+            const { start_date, end_date, type, swapped } = parseAbsenceLine(trimmed);
+            entry.vacation = { start_date, end_date, type };
+            if (swapped) {
+                entry.status = 'warning';
+                entry.reasons.push('начало позже конца - даты переставлены');
+            }
+        } catch (e) {
+            entry.status = 'error';
+            entry.reasons.push(e.message.charAt(0).toLowerCase() + e.message.slice(1));
         }
+        lines.push(entry);
+    });
+    
+    const parsed = lines.filter(l => l.vacation).map(l => ({ ...l.vacation, lines: [l.number] }));
+    const { absences, overlaps } = mergeOverlappingAbsences(parsed);
+    
+    const OVERLAP_REASONS = {
+        duplicate: (n) => `повторяет строку ${n}`,
+        merged: (n) => `пересекается со строкой ${n} - объединено`,
+        conflict: (n) => `пересекается со строкой ${n} (другой тип отсутствия)`
+    };
+    for (const overlap of overlaps) {
+        const entry = lines.find(l => l.number === overlap.line);
+        entry.status = 'warning';
+        entry.reasons.push(OVERLAP_REASONS[overlap.type](overlap.withLine));
+    }
+    
+    return {
+        lines,
+        vacations: absences,
+        errors: lines.filter(l => l.status === 'error').length
+    };
+}
+
+/**
+ * Дни отсутствий по типам: { [type]: { count, calendarDays, holidays, workingDays } }
+ * calendarDays - календарные дни без праздников (так считаются дни отпуска),
+ * workingDays - рабочие дни по производственному календарю
+ */
+async function summarizeAbsenceDays(absences) {
+    const summary = {};
+    if (absences.length === 0) {
+        return summary;
+    }
+    
+    const first = absences.reduce((min, a) => a.start_date < min ? a.start_date : min, absences[0].start_date);
+    const last = absences.reduce((max, a) => a.end_date > max ? a.end_date : max, absences[0].end_date);
+    await loadWorkingDaysBatch(first, last);
+    
+    for (const absence of absences) {
+        const type = absence.type || ABSENCE_TYPES.VACATION;
+        const { paidDays, holidays } = await countVacationPaidDays(absence.start_date, absence.end_date);
+        const workingDays = await countWorkingDays(absence.start_date, absence.end_date, null);
         
-        return { start_date: date, end_date: date };
-        
-    } catch (e) {
-        // Ошибка парсинга - пропускаем строку
-        return null;
+        const total = summary[type] || (summary[type] = { count: 0, calendarDays: 0, holidays: 0, workingDays: 0 });
+        total.count++;
+        total.calendarDays += paidDays;
+        total.holidays += holidays;
+        total.workingDays += workingDays;
     }
+    
+    return summary;
 }
 
 /**
@@ -613,6 +1513,10 @@ async function parseVacationFile(file) {
                         
                         const endStr = cells[1] || '';
                         
+                        // Третья колонка - тип отсутствия (отпуск, больничный, за свой счет)
+                        const typeStr = cells[2] || '';
+                        const type = extractAbsenceType(typeStr).type;
+                        
                         if (endStr) {
                             // Диапазон
                             try {
@@ -620,13 +1524,14 @@ async function parseVacationFile(file) {
                                 const endDate = parseDate(endStr);
                                 vacations.push({
                                     start_date: startDate,
-                                    end_date: endDate
+                                    end_date: endDate,
+                                    type
                                 });
                             } catch (e) {
                                 // Пробуем как диапазон в одной строке
                                 const vacation = parseVacationLine(`${startStr}-${endStr}`);
                                 if (vacation) {
-                                    vacations.push(vacation);
+                                    vacations.push(typeStr ? { ...vacation, type } : vacation);
                                 }
                             }
                         } else {
@@ -635,32 +1540,24 @@ async function parseVacationFile(file) {
                                 const date = parseDate(startStr);
                                 vacations.push({
                                     start_date: date,
-                                    end_date: date
+                                    end_date: date,
+                                    type
                                 });
                             } catch (e) {
                                 // Пробуем как диапазон в одной строке
                                 const vacation = parseVacationLine(startStr);
                                 if (vacation) {
-                                    vacations.push(vacation);
+                                    vacations.push(typeStr ? { ...vacation, type } : vacation);
                                 }
                             }
                         }
                     }
+                    
+                    // Повторы и пересечения из выгрузки объединяем, как и в текстовом поле
+                    vacations = mergeOverlappingAbsences(vacations.map(v => ({ ...v, lines: [] }))).absences;
                 } else {
                     // Парсим текстовый файл
-                    const lines = content.split('\n');
-                    
-                    for (const line of lines) {
-                        const trimmed = line.trim();
-                        if (!trimmed || trimmed.startsWith('#')) {
-                            continue;
-                        }
-                        
-                        const vacation = parseVacationLine(trimmed);
-                        if (vacation) {
-                            vacations.push(vacation);
-                        }
-                    }
+                    vacations = analyzeVacationText(content).vacations;
                 }
                 
                 resolve(vacations.length > 0 ? vacations : null);
@@ -674,25 +1571,3 @@ async function parseVacationFile(file) {
     });
 }
 
-/**
- * Парсинг текста с датами отпусков
- */
-function parseVacationText(text) {
-    const lines = text.trim().split('\n');
-    const vacations = [];
-    
-    for (const line of lines) {
-        const trimmed = line.trim();
-        if (!trimmed) {
-            continue;
-        }
-        
-        const vacation = parseVacationLine(trimmed);
-        if (vacation) {
-            vacations.push(vacation);
-        }
-    }
-    
-    return vacations.length > 0 ? vacations : null;
-}
-
@@ -0,0 +1,78 @@
+/**
+ * Сравнение сценариев "что если": выплаты нескольких расчетов, выровненные по датам
+ *
+ * Сценарий - { name, payments }, где payments - результат calculateNextSalaries.
+ * Первый сценарий - базовый, разницы считаются относительно него
+ */
+
+const MAX_SCENARIOS = 5;
+
+/**
+ * Последняя дата, до которой рассчитаны все сценарии
+ * (при расчете ближайших выплат графики заканчиваются в разные даты)
+ */
+function getCommonHorizonEnd(scenarios) {
+    let horizonEnd = null;
+    for (const scenario of scenarios) {
+        if (scenario.payments.length === 0) continue;
+        const lastDate = scenario.payments[scenario.payments.length - 1].date;
+        if (!horizonEnd || lastDate < horizonEnd) {
+            horizonEnd = lastDate;
+        }
+    }
+    return horizonEnd;
+}
+
+/**
+ * Выплаты сценариев по датам
+ *
+ * Возвращает { rows, totals, differences }:
+ * rows - [{ date, amounts, payments, differences, cumulative }] по возрастанию даты,
+ * amounts[i] - сумма выплат сценария i в эту дату (null, если выплат нет),
+ * differences[i] - разница с базовым сценарием в эту дату, cumulative[i] - нарастающим итогом;
+ * totals[i] - сумма за горизонт, differences[i] - ее разница с базовым
+ */
+function compareScenarios(scenarios, horizonEnd = null) {
+    if (scenarios.length < 2) {
+        throw new Error('для сравнения нужно хотя бы два сценария');
+    }
+    if (scenarios.length > MAX_SCENARIOS) {
+        throw new Error(`можно сравнить не больше ${MAX_SCENARIOS} сценариев`);
+    }
+
+    const byDate = new Map();
+    scenarios.forEach((scenario, index) => {
+        for (const payment of scenario.payments) {
+            if (horizonEnd && payment.date > horizonEnd) continue;
+
+            const key = dateToKey(payment.date);
+            if (!byDate.has(key)) {
+                byDate.set(key, {
+                    date: payment.date,
+                    amounts: scenarios.map(() => null),
+                    payments: scenarios.map(() => [])
+                });
+            }
+            const row = byDate.get(key);
+            row.amounts[index] = (row.amounts[index] || 0) + payment.amount;
+            row.payments[index].push(payment);
+        }
+    });
+
+    const rows = Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+    const totals = scenarios.map(() => 0);
+
+    for (const row of rows) {
+        row.amounts.forEach((amount, index) => {
+            totals[index] += amount || 0;
+        });
+        row.differences = row.amounts.map(amount => Math.round((amount || 0) - (row.amounts[0] || 0)));
+        row.cumulative = totals.map(total => Math.round(total - totals[0]));
+    }
+
+    return {
+        rows,
+        totals: totals.map(Math.round),
+        differences: totals.map(total => Math.round(total - totals[0]))
+    };
+}
@@ -0,0 +1,434 @@
+/**
+ * Выгрузка графика выплат: CSV, XLSX и расчетные листки для печати
+ * Все форматы собираются в браузере, без сторонних библиотек
+ */
+
+// Колонки таблицы выплат
+const SCHEDULE_EXPORT_COLUMNS = [
+    'date', 'amount', 'period_start', 'period_end',
+    'worked_days', 'total_days', 'vacation_days_deducted', 'type'
+];
+
+// Подписи видов выплат в выгрузке и расчетном листке
+const EXPORT_PAYMENT_TYPE_NAMES = {
+    salary: 'Зарплата',
+    vacation_pay: 'Отпускные',
+    sick_pay_social_fund: 'Больничный (Социальный фонд)',
+    bonus: 'Премия'
+};
+
+/**
+ * Строка выгрузки для выплаты: значения колонок SCHEDULE_EXPORT_COLUMNS
+ * У отпускных и больничного период - даты отсутствия
+ */
+function getScheduleExportRow(payment) {
+    const isSalary = payment.type === 'salary';
+    const periodStart = payment.period_start || payment.vacation_start || payment.sick_start;
+    const periodEnd = payment.period_end || payment.vacation_end || payment.sick_end;
+
+    return {
+        date: payment.date,
+        amount: payment.amount,
+        period_start: periodStart || null,
+        period_end: periodEnd || null,
+        worked_days: isSalary ? payment.worked_days : null,
+        total_days: isSalary ? payment.total_days : null,
+        vacation_days_deducted: isSalary ? payment.vacation_days_deducted || 0 : null,
+        type: payment.type
+    };
+}
+
+/**
+ * Значение ячейки CSV (даты - ISO 8601, экранирование по RFC 4180)
+ */
+function formatCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return dateToKey(value);
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * График выплат в CSV (с BOM, чтобы Excel открыл UTF-8)
+ */
+function buildScheduleCsv(payments) {
+    const lines = [SCHEDULE_EXPORT_COLUMNS.join(',')];
+
+    for (const payment of payments) {
+        const row = getScheduleExportRow(payment);
+        lines.push(SCHEDULE_EXPORT_COLUMNS.map(column => formatCsvCell(row[column])).join(','));
+    }
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// XLSX: минимальная книга Office Open XML в ZIP-архиве без сжатия
+// ---------------------------------------------------------------------------
+
+const XLSX_DATE_EPOCH = Date.UTC(1899, 11, 30);
+const XLSX_DATE_STYLE = 1;
+
+let crc32Table = null;
+
+/**
+ * CRC-32 для заголовков ZIP
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP-архив без сжатия (method 0) из списка { name, content }
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralDirectory.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...centralDirectory, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+/**
+ * Экранирование текста для XML и HTML
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Имя столбца Excel по номеру: 0 -> A, 26 -> AA
+ */
+function xlsxColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * Ячейка листа: числа и даты - числом (даты в формате даты), остальное - строкой
+ */
+function buildXlsxCell(value, ref) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        const serial = (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - XLSX_DATE_EPOCH) / 86400000;
+        return `<c r="${ref}" s="${XLSX_DATE_STYLE}"><v>${serial}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * График выплат в XLSX (Uint8Array)
+ */
+function buildScheduleXlsx(payments) {
+    const rows = [SCHEDULE_EXPORT_COLUMNS, ...payments.map(payment => {
+        const row = getScheduleExportRow(payment);
+        return SCHEDULE_EXPORT_COLUMNS.map(column => row[column]);
+    })];
+
+    const sheetRows = rows.map((values, rowIndex) => {
+        const cells = values.map((value, columnIndex) => buildXlsxCell(value, `${xlsxColumnName(columnIndex)}${rowIndex + 1}`));
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            content: xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: xmlHeader +
+                `<workbook xmlns="${mainNs}" xmlns:r="${relNs}">` +
+                '<sheets><sheet name="Выплаты" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${relNs}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: xmlHeader +
+                `<styleSheet xmlns="${mainNs}">` +
+                '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2">' +
+                '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+                '</cellXfs>' +
+                '</styleSheet>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: xmlHeader +
+                `<worksheet xmlns="${mainNs}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+        }
+    ]);
+}
+
+// ---------------------------------------------------------------------------
+// Расчетный листок для печати (сохраняется в PDF средствами браузера)
+// ---------------------------------------------------------------------------
+
+/**
+ * Сумма для расчетного листка: "52 174,00"
+ */
+function formatPayslipAmount(amount) {
+    return amount.toLocaleString('ru-RU', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Дата для расчетного листка: 14.03.2025
+ */
+function formatPayslipDate(date) {
+    return `${String(date.getDate()).padStart(2, '0')}.${String(date.getMonth() + 1).padStart(2, '0')}.${date.getFullYear()}`;
+}
+
+/**
+ * Строки "Начислено" расчетного листка: [название, дни, сумма]
+ * Доплаты (больничный за счет работодателя) выделяются из общей суммы начисления
+ */
+function getPayslipAccruals(payment, salaryMode) {
+    if (payment.type === 'vacation_pay') {
+        return [[
+            `Отпускные (${formatPayslipDate(payment.vacation_start)} - ${formatPayslipDate(payment.vacation_end)})`,
+            `${payment.paid_days} к.д.`,
+            payment.gross
+        ]];
+    }
+    if (payment.type === 'bonus') {
+        const periodText = payment.period_start
+            ? ` (${formatPayslipDate(payment.period_start)} - ${formatPayslipDate(payment.period_end)})`
+            : '';
+        return [[`${payment.title}${periodText}`, '', payment.gross]];
+    }
+    if (payment.type === 'sick_pay_social_fund') {
+        return [[
+            `Пособие по временной нетрудоспособности (${formatPayslipDate(payment.sick_start)} - ${formatPayslipDate(payment.sick_end)})`,
+            `${payment.paid_days} к.д.`,
+            payment.gross
+        ]];
+    }
+
+    // При окладе на руки суммы тоже на руки - пересчитываем в начисление пропорционально выплате
+    const grossRatio = salaryMode === 'gross' || payment.amount <= 0 ? 1 : payment.gross / payment.amount;
+    const additions = (payment.additions || []).map(addition => [
+        addition.type === 'bonus' || addition.type === 'accounting_overtime'
+            ? `${addition.title} (${formatPayslipDate(addition.start_date)} - ${formatPayslipDate(addition.end_date)})`
+            : addition.date ? `${addition.title} (${formatPayslipDate(addition.date)})` : addition.title,
+        addition.days ? `${addition.days} дн.` : addition.hours ? `${addition.hours.toLocaleString('ru-RU')} ч` : '',
+        Math.round(addition.amount * grossRatio)
+    ]);
+    const additionsGross = additions.reduce((sum, row) => sum + row[2], 0);
+
+    // Оклад менялся внутри периода - строка на каждый оклад, остаток от округления в последней
+    const segments = payment.salary_segments && payment.salary_segments.length > 1
+        ? payment.salary_segments
+        : [{ salary: null, start: payment.period_start, end: payment.period_end, days: payment.worked_days }];
+    const salaryGross = payment.gross - additionsGross;
+    let accounted = 0;
+
+    const salaryRows = segments.map((segment, index) => {
+        const amount = index === segments.length - 1
+            ? salaryGross - accounted
+            : Math.round(segment.amount * grossRatio);
+        accounted += amount;
+
+        const salaryText = segment.salary ? `, оклад ${formatPayslipAmount(segment.salary)}` : '';
+        const daysText = segments.length > 1 ? `${segment.days} р.д.` : `${payment.worked_days} из ${payment.total_days} р.д.`;
+        return [
+            `Оклад по отработанному времени (${formatPayslipDate(segment.start)} - ${formatPayslipDate(segment.end)}${salaryText})`,
+            daysText,
+            amount
+        ];
+    });
+
+    return [...salaryRows, ...additions];
+}
+
+/**
+ * Оклад для шапки листка: действовавший в конце периода выплаты
+ */
+function getPayslipSalary(payment, meta) {
+    const segments = payment.salary_segments || [];
+    return segments.length > 0 ? segments[segments.length - 1].salary : meta.salary;
+}
+
+/**
+ * HTML одного расчетного листка
+ */
+function buildPayslipSection(payment, meta) {
+    const accruals = getPayslipAccruals(payment, meta.salaryMode);
+    const rates = (payment.ndfl_rates || []).map(rate => `${Math.round(rate * 100)}%`).join(', ') || '13%';
+
+    const accrualRows = accruals.map(([title, days, amount]) => `
+            <tr><td>${escapeXml(title)}</td><td>${escapeXml(days)}</td><td class="amount">${formatPayslipAmount(amount)}</td></tr>`).join('');
+
+    let infoRows = '';
+    if (payment.type === 'salary' && payment.vacation_days_deducted > 0) {
+        infoRows += `<tr><td>Не отработано (отпуск, больничный, за свой счет)</td><td>${payment.vacation_days_deducted} р.д.</td><td></td></tr>`;
+    }
+    if (payment.advance_deducted) {
+        infoRows += `<tr><td>Заработок за месяц / выплачено авансом</td><td></td><td class="amount">${formatPayslipAmount(payment.month_total)} / ${formatPayslipAmount(payment.advance_deducted)}</td></tr>`;
+    }
+
+    return `
+    <section class="payslip">
+        <h1>Расчетный листок</h1>
+        <p class="meta">
+            ${meta.employeeName ? `Сотрудник: ${escapeXml(meta.employeeName)}<br>` : ''}
+            ${EXPORT_PAYMENT_TYPE_NAMES[payment.type]} за ${formatPayslipDate(payment.date)}<br>
+            Оклад: ${formatPayslipAmount(getPayslipSalary(payment, meta))} ₽ (${meta.salaryMode === 'gross' ? 'до вычета НДФЛ' : 'на руки'})
+        </p>
+        <table>
+            <thead><tr><th>Начислено</th><th>Дни</th><th class="amount">Сумма, ₽</th></tr></thead>
+            <tbody>${accrualRows}
+            <tr class="total"><td>Всего начислено</td><td></td><td class="amount">${formatPayslipAmount(payment.gross)}</td></tr>
+            </tbody>
+        </table>
+        <table>
+            <thead><tr><th>Удержано</th><th></th><th class="amount">Сумма, ₽</th></tr></thead>
+            <tbody>
+            <tr><td>НДФЛ (${rates})</td><td></td><td class="amount">${formatPayslipAmount(payment.ndfl)}</td></tr>
+            ${infoRows}
+            </tbody>
+        </table>
+        <p class="net">К выплате: ${formatPayslipAmount(payment.amount)} ₽</p>
+        <p class="note">Доход с начала года: ${formatPayslipAmount(payment.ytd_gross || payment.gross)} ₽. Расчет предварительный, по данным калькулятора.</p>
+    </section>`;
+}
+
+/**
+ * Страница с расчетными листками для печати - по листку на страницу
+ * meta: { salary, salaryMode, employeeName }
+ */
+function buildPayslipDocument(payments, meta) {
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="UTF-8">
+<title>Расчетные листки</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111; margin: 0; padding: 24px; }
+    .payslip { max-width: 720px; margin: 0 auto 48px; }
+    h1 { font-size: 20px; margin: 0 0 8px; }
+    .meta { font-size: 13px; color: #444; line-height: 1.5; }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; font-size: 13px; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; }
+    th { background: #f0f0f0; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; }
+    .net { font-size: 16px; font-weight: bold; }
+    .note { font-size: 11px; color: #666; }
+    @media print {
+        body { padding: 0; }
+        .payslip { page-break-after: always; margin-bottom: 0; }
+        .payslip:last-child { page-break-after: auto; }
+    }
+</style>
+</head>
+<body>${payments.map(payment => buildPayslipSection(payment, meta)).join('')}
+</body>
+</html>`;
+}
@@ -0,0 +1,108 @@
+/**
+ * Командный режим: графики выплат нескольких сотрудников и фонд выплат на каждую дату
+ *
+ * Сотрудник - { name, salary, salaryMode, scheduleId, vacations }:
+ * salary - оклад (число), salaryMode - 'net' | 'gross' или null (режим из формы),
+ * scheduleId - ключ PAY_SCHEDULE_PRESETS, vacations - отпуска и больничные
+ */
+
+// Не больше сотрудников в одном расчете
+const MAX_TEAM_SIZE = 200;
+
+/**
+ * Горизонт расчета для всей команды - те же месяцы, что берет calculateNextSalaries
+ * (для ближайших выплат - по графику, которому нужно больше всего месяцев)
+ */
+function getTeamCalendarRange(employees, count, options) {
+    const anchor = options.range ? options.range.start : (options.asOf || new Date());
+    const start = new Date(anchor.getFullYear() - 1, 11, 1);
+    const months = Math.max(...employees.map(employee =>
+        getMonthsForPayments(PAY_SCHEDULE_PRESETS[employee.scheduleId] || DEFAULT_PAY_SCHEDULE, count)));
+    const end = options.range
+        ? new Date(options.range.end.getFullYear(), options.range.end.getMonth() + 2, 0)
+        : new Date(anchor.getFullYear(), anchor.getMonth() + months, 0);
+
+    return { start, end };
+}
+
+/**
+ * Расчет графиков выплат всей команды
+ *
+ * Производственный календарь загружается один раз на весь горизонт,
+ * расчеты сотрудников берут его из кэша. Без периода (options.range) общий график
+ * обрезается по последней выплате сотрудника с самым коротким графиком,
+ * чтобы итоги по датам не оказались неполными.
+ *
+ * Возвращает { employees: [{ ...employee, payments }], totals, cutoff }:
+ * cutoff - дата обрезки, если у кого-то из сотрудников выплаты действительно отброшены, иначе null
+ */
+async function calculateTeamPayroll(employees, count = 5, options = {}) {
+    if (employees.length === 0) {
+        throw new Error('Список сотрудников пуст');
+    }
+    if (employees.length > MAX_TEAM_SIZE) {
+        throw new Error(`Слишком много сотрудников (максимум ${MAX_TEAM_SIZE})`);
+    }
+
+    const calendarRange = getTeamCalendarRange(employees, count, options);
+    await loadWorkingDaysBatch(calendarRange.start, calendarRange.end);
+
+    const results = [];
+    for (const employee of employees) {
+        let payments;
+        try {
+            payments = await calculateNextSalaries(
+                employee.salary,
+                PAY_SCHEDULE_PRESETS[employee.scheduleId] || DEFAULT_PAY_SCHEDULE,
+                count,
+                employee.vacations,
+                { ...options, salaryMode: employee.salaryMode || options.salaryMode }
+            );
+        } catch (e) {
+            throw new Error(`${employee.name}: ${e.message}`);
+        }
+        results.push({ ...employee, payments });
+    }
+
+    let cutoff = null;
+    let trimmed = false;
+    if (!options.range) {
+        for (const result of results) {
+            const lastDate = result.payments.length > 0 ? result.payments[result.payments.length - 1].date : null;
+            if (lastDate && (!cutoff || lastDate < cutoff)) {
+                cutoff = lastDate;
+            }
+        }
+        for (const result of results) {
+            const payments = result.payments.filter(p => p.date <= cutoff);
+            trimmed = trimmed || payments.length < result.payments.length;
+            result.payments = payments;
+        }
+    }
+
+    return { employees: results, totals: aggregateTeamPayments(results), cutoff: trimmed ? cutoff : null };
+}
+
+/**
+ * Фонд выплат по датам: { date, amount, gross, ndfl, payments: [{ name, payment }] }
+ * amount - сколько нужно перечислить сотрудникам, ndfl - удержанный налог к перечислению в бюджет
+ */
+function aggregateTeamPayments(results) {
+    const byDate = new Map();
+
+    for (const result of results) {
+        for (const payment of result.payments) {
+            const key = dateToKey(payment.date);
+            if (!byDate.has(key)) {
+                byDate.set(key, { date: payment.date, amount: 0, gross: 0, ndfl: 0, payments: [] });
+            }
+            const total = byDate.get(key);
+            total.amount += payment.amount;
+            total.gross += payment.gross || 0;
+            total.ndfl += payment.ndfl || 0;
+            total.payments.push({ name: result.name, payment });
+        }
+    }
+
+    return Array.from(byDate.values()).sort((a, b) => a.date - b.date);
+}
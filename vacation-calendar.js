@@ -0,0 +1,254 @@
+/**
+ * Календарь на несколько месяцев для выбора отпусков
+ *
+ * Дни окрашиваются по производственному календарю, отсутствия выделяются цветом по типу,
+ * даты выплат отмечаются значком. Протягивание по дням добавляет отпуск (пересекающиеся
+ * и соседние отпуска объединяются), клик по выделенному дню убирает отсутствие целиком
+ */
+
+const VACATION_CALENDAR_MONTHS = 3;
+
+const CALENDAR_WEEKDAYS_SHORT = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+// Подписи типов дней для подсказки и легенды
+const CALENDAR_DAY_TYPE_NAMES = {
+    working: 'рабочий день',
+    short: 'предпраздничный день',
+    weekend: 'выходной',
+    holiday: 'праздник'
+};
+
+const CALENDAR_ABSENCE_NAMES = {
+    vacation: 'отпуск',
+    sick: 'больничный',
+    unpaid: 'отпуск за свой счет'
+};
+
+/**
+ * Заголовок месяца: "Ноябрь 2026"
+ */
+function formatCalendarMonthTitle(date) {
+    const name = MONTHS_RU_NOMINATIVE[date.getMonth()];
+    return `${name[0].toUpperCase()}${name.slice(1)} ${date.getFullYear()}`;
+}
+
+/**
+ * Отсутствие, в которое попадает дата, или null
+ */
+function findAbsenceAt(absences, date) {
+    const dateKey = dateToKey(date);
+    return absences.find(a => dateKey >= dateToKey(a.start_date) && dateKey <= dateToKey(a.end_date)) || null;
+}
+
+/**
+ * Добавление отпуска: пересекающиеся и соседние отпуска объединяются в один,
+ * больничные и отпуска за свой счет не меняются
+ * Возвращает новый список по возрастанию даты начала
+ */
+function addVacationRange(absences, startDate, endDate) {
+    let start = new Date(startDate);
+    let end = new Date(endDate);
+    const rest = [];
+
+    for (const absence of absences) {
+        const isVacation = (absence.type || ABSENCE_TYPES.VACATION) === ABSENCE_TYPES.VACATION;
+        const dayBefore = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+        const dayAfter = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+
+        if (isVacation && absence.start_date <= dayAfter && absence.end_date >= dayBefore) {
+            if (absence.start_date < start) start = new Date(absence.start_date);
+            if (absence.end_date > end) end = new Date(absence.end_date);
+        } else {
+            rest.push(absence);
+        }
+    }
+
+    rest.push({ start_date: start, end_date: end, type: ABSENCE_TYPES.VACATION });
+    return rest.sort((a, b) => a.start_date - b.start_date);
+}
+
+/**
+ * Календарь в контейнере
+ *
+ * options.onChange(absences) - пользователь изменил отпуска
+ * options.onMonthChange() - показаны другие месяцы (например, чтобы пересчитать выплаты)
+ *
+ * Возвращает { setAbsences, setPayments, setMonth, getVisibleRange, render }
+ */
+function createVacationCalendar(container, options = {}) {
+    const today = new Date();
+    let firstMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    let absences = [];
+    let paymentsByDate = new Map();
+    let selection = null;
+    let renderId = 0;
+
+    container.classList.add('vacation-calendar');
+    container.innerHTML = `
+        <div class="calendar-nav">
+            <button type="button" class="calendar-nav-btn" data-shift="-1" aria-label="Предыдущий месяц">‹</button>
+            <span class="calendar-nav-title"></span>
+            <button type="button" class="calendar-nav-btn" data-shift="1" aria-label="Следующий месяц">›</button>
+        </div>
+        <div class="calendar-months"></div>
+        <div class="calendar-legend">
+            <span><i class="calendar-day day-working"></i>рабочий</span>
+            <span><i class="calendar-day day-short"></i>предпраздничный</span>
+            <span><i class="calendar-day day-weekend"></i>выходной</span>
+            <span><i class="calendar-day day-holiday"></i>праздник</span>
+            <span><i class="calendar-day absence-vacation"></i>отпуск</span>
+            <span><i class="calendar-day absence-sick"></i>больничный</span>
+            <span><i class="calendar-day absence-unpaid"></i>за свой счет</span>
+            <span><i class="calendar-day payment"></i>выплата</span>
+        </div>
+    `;
+    const monthsContainer = container.querySelector('.calendar-months');
+    const title = container.querySelector('.calendar-nav-title');
+
+    function getVisibleRange() {
+        return {
+            start: new Date(firstMonth),
+            end: new Date(firstMonth.getFullYear(), firstMonth.getMonth() + VACATION_CALENDAR_MONTHS, 0)
+        };
+    }
+
+    function describeDay(date, dayInfo) {
+        const parts = [dateToKey(date).split('-').reverse().join('.'), CALENDAR_DAY_TYPE_NAMES[dayInfo.type]];
+        const absence = findAbsenceAt(absences, date);
+        if (absence) {
+            parts.push(CALENDAR_ABSENCE_NAMES[absence.type || ABSENCE_TYPES.VACATION]);
+        }
+        for (const payment of paymentsByDate.get(dateToKey(date)) || []) {
+            parts.push(`выплата ${Math.round(payment.amount).toLocaleString('ru-RU')} ₽`);
+        }
+        return parts.join(', ');
+    }
+
+    async function buildMonth(monthStart) {
+        const month = document.createElement('div');
+        month.className = 'calendar-month';
+        month.innerHTML = `<div class="calendar-month-title">${formatCalendarMonthTitle(monthStart)}</div>`;
+
+        const grid = document.createElement('div');
+        grid.className = 'calendar-grid';
+        for (const weekday of CALENDAR_WEEKDAYS_SHORT) {
+            const cell = document.createElement('div');
+            cell.className = 'calendar-weekday';
+            cell.textContent = weekday;
+            grid.appendChild(cell);
+        }
+
+        // Неделя начинается с понедельника
+        const offset = (monthStart.getDay() + 6) % 7;
+        for (let i = 0; i < offset; i++) {
+            grid.appendChild(document.createElement('div'));
+        }
+
+        const lastDay = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= lastDay; day++) {
+            const date = new Date(monthStart.getFullYear(), monthStart.getMonth(), day);
+            const dayInfo = await getDayInfo(date);
+            const absence = findAbsenceAt(absences, date);
+
+            const cell = document.createElement('div');
+            cell.className = `calendar-day day-${dayInfo.type}`;
+            if (absence) cell.classList.add(`absence-${absence.type || ABSENCE_TYPES.VACATION}`);
+            if (paymentsByDate.has(dateToKey(date))) cell.classList.add('payment');
+            if (dateToKey(date) === dateToKey(today)) cell.classList.add('today');
+            cell.dataset.date = dateToKey(date);
+            cell.title = describeDay(date, dayInfo);
+            cell.textContent = day;
+            grid.appendChild(cell);
+        }
+
+        month.appendChild(grid);
+        return month;
+    }
+
+    async function render() {
+        // Пока грузится календарь, могли перейти к другим месяцам - рисуем только последний вызов
+        const currentRenderId = ++renderId;
+        const range = getVisibleRange();
+        await loadWorkingDaysBatch(range.start, range.end);
+
+        const months = [];
+        for (let i = 0; i < VACATION_CALENDAR_MONTHS; i++) {
+            months.push(await buildMonth(new Date(firstMonth.getFullYear(), firstMonth.getMonth() + i, 1)));
+        }
+        if (currentRenderId !== renderId) return;
+
+        monthsContainer.replaceChildren(...months);
+        title.textContent = `${formatCalendarMonthTitle(range.start)} - ${formatCalendarMonthTitle(range.end)}`;
+    }
+
+    function highlightSelection() {
+        const [from, to] = [selection.start, selection.end].sort();
+        monthsContainer.querySelectorAll('.calendar-day[data-date]').forEach(cell => {
+            cell.classList.toggle('selecting', cell.dataset.date >= from && cell.dataset.date <= to);
+        });
+    }
+
+    function finishSelection() {
+        if (!selection) return;
+        const [from, to] = [selection.start, selection.end].sort();
+        selection = null;
+
+        const existing = from === to ? findAbsenceAt(absences, keyToDate(from)) : null;
+        absences = existing
+            ? absences.filter(a => a !== existing)
+            : addVacationRange(absences, keyToDate(from), keyToDate(to));
+
+        if (options.onChange) options.onChange(absences.slice());
+        render();
+    }
+
+    monthsContainer.addEventListener('pointerdown', (e) => {
+        const cell = e.target.closest('.calendar-day[data-date]');
+        if (!cell) return;
+        e.preventDefault();
+        // На сенсорном экране указатель захватывается элементом - отпускаем, чтобы работало протягивание
+        if (e.pointerId !== undefined && cell.hasPointerCapture && cell.hasPointerCapture(e.pointerId)) {
+            cell.releasePointerCapture(e.pointerId);
+        }
+        selection = { start: cell.dataset.date, end: cell.dataset.date };
+        highlightSelection();
+    });
+    monthsContainer.addEventListener('pointerover', (e) => {
+        const cell = e.target.closest('.calendar-day[data-date]');
+        if (!selection || !cell) return;
+        selection.end = cell.dataset.date;
+        highlightSelection();
+    });
+    document.addEventListener('pointerup', finishSelection);
+
+    container.querySelectorAll('.calendar-nav-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            firstMonth = new Date(firstMonth.getFullYear(), firstMonth.getMonth() + Number(button.dataset.shift), 1);
+            render();
+            if (options.onMonthChange) options.onMonthChange();
+        });
+    });
+
+    render();
+
+    return {
+        setAbsences(list) {
+            absences = (list || []).slice();
+            return render();
+        },
+        setPayments(payments) {
+            paymentsByDate = new Map();
+            for (const payment of payments || []) {
+                const key = dateToKey(payment.date);
+                paymentsByDate.set(key, [...(paymentsByDate.get(key) || []), payment]);
+            }
+            return render();
+        },
+        setMonth(date) {
+            firstMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+            return render();
+        },
+        getVisibleRange,
+        render
+    };
+}
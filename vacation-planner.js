@@ -0,0 +1,148 @@
+/**
+ * Подбор дат отпуска с наибольшим непрерывным отдыхом
+ *
+ * Отпуск из N календарных дней: нерабочие праздники внутри отпуска в число дней
+ * не входят и продлевают его (ст. 120 ТК РФ). Отдых - отпуск вместе с примыкающими
+ * выходными и праздниками. Варианты ранжируются по длине отдыха, затем по числу
+ * пропущенных рабочих дней (меньше - лучше) и по дате. Отпуск начинается с рабочего дня
+ */
+
+const MAX_PLANNED_VACATION_DAYS = 60;
+const MAX_PLANNER_WINDOW_DAYS = 366;
+const DEFAULT_PLANNER_SUGGESTIONS = 5;
+
+// Запас дней вокруг окна, чтобы найти примыкающие выходные и праздники
+const PLANNER_WINDOW_MARGIN_DAYS = 15;
+
+/**
+ * Варианты отпуска из days календарных дней, начинающегося в окне [windowStart, windowEnd]
+ * Варианты, пересекающиеся с уже запланированными отпусками и больничными (absences), пропускаются
+ *
+ * Возвращает до limit непересекающихся вариантов:
+ * { start_date, end_date, days_off_start, days_off_end, days_off, working_days, holidays }
+ */
+async function findVacationOptions(days, windowStart, windowEnd, absences = [], limit = DEFAULT_PLANNER_SUGGESTIONS) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PLANNED_VACATION_DAYS) {
+        throw new Error(`продолжительность отпуска - от 1 до ${MAX_PLANNED_VACATION_DAYS} дней`);
+    }
+    if (windowStart > windowEnd) {
+        throw new Error('начало окна позже его конца');
+    }
+
+    const windowDays = daysBetween(windowStart, windowEnd) + 1;
+    if (windowDays > MAX_PLANNER_WINDOW_DAYS) {
+        throw new Error(`окно поиска - не больше ${MAX_PLANNER_WINDOW_DAYS} дней`);
+    }
+
+    // Дни от начала окна с запасом; индекс 0 - первый день запаса
+    const firstDay = new Date(windowStart.getFullYear(), windowStart.getMonth(), windowStart.getDate() - PLANNER_WINDOW_MARGIN_DAYS);
+    const totalDays = windowDays + days * 2 + PLANNER_WINDOW_MARGIN_DAYS * 2;
+    const lastDay = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + totalDays - 1);
+    await loadWorkingDaysBatch(firstDay, lastDay);
+
+    const dayInfos = [];
+    for (let i = 0; i < totalDays; i++) {
+        dayInfos.push(await getDayInfo(new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i)));
+    }
+    const dateAt = (index) => new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + index);
+    const isDayOff = (index) => index >= 0 && index < totalDays && dayInfos[index].hours === 0;
+
+    const candidates = [];
+    for (let startIndex = PLANNER_WINDOW_MARGIN_DAYS; startIndex < PLANNER_WINDOW_MARGIN_DAYS + windowDays; startIndex++) {
+        // Начинать отпуск с выходного нет смысла: тот же отдых дает отпуск с ближайшего рабочего дня
+        if (isDayOff(startIndex)) continue;
+
+        // Праздники не считаются днями отпуска
+        let endIndex = startIndex;
+        let counted = 0;
+        let holidays = 0;
+        let workingDays = 0;
+        for (; endIndex < totalDays; endIndex++) {
+            if (dayInfos[endIndex].type === DAY_TYPES.HOLIDAY) {
+                holidays++;
+                continue;
+            }
+            if (dayInfos[endIndex].hours > 0) workingDays++;
+            if (++counted === days) break;
+        }
+        if (counted < days) break;
+
+        const startDate = dateAt(startIndex);
+        const endDate = dateAt(endIndex);
+        if (absences.some(absence => absence.start_date <= endDate && absence.end_date >= startDate)) continue;
+
+        let offStart = startIndex;
+        while (isDayOff(offStart - 1)) offStart--;
+        let offEnd = endIndex;
+        while (isDayOff(offEnd + 1)) offEnd++;
+
+        candidates.push({
+            start_date: startDate,
+            end_date: endDate,
+            days_off_start: dateAt(offStart),
+            days_off_end: dateAt(offEnd),
+            days_off: offEnd - offStart + 1,
+            working_days: workingDays,
+            holidays
+        });
+    }
+
+    candidates.sort((a, b) =>
+        b.days_off - a.days_off ||
+        a.working_days - b.working_days ||
+        a.start_date - b.start_date
+    );
+
+    // Сдвиг того же отдыха на день - не новый вариант: берем только непересекающиеся
+    const options = [];
+    for (const candidate of candidates) {
+        if (options.length >= limit) break;
+        const overlaps = options.some(o => candidate.days_off_start <= o.days_off_end && candidate.days_off_end >= o.days_off_start);
+        if (!overlaps) {
+            options.push(candidate);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Период выплат, на которые влияет отпуск: от месяца до отпуска
+ * (но не раньше даты расчета) до конца месяца, следующего за отпуском
+ */
+function getVacationEffectRange(option, asOf) {
+    const monthBefore = new Date(option.start_date.getFullYear(), option.start_date.getMonth() - 1, option.start_date.getDate());
+    return {
+        start: monthBefore > asOf ? monthBefore : new Date(asOf),
+        end: new Date(option.end_date.getFullYear(), option.end_date.getMonth() + 2, 0)
+    };
+}
+
+/**
+ * Сравнение выплат без отпуска и с отпуском
+ * Выплаты сопоставляются по виду и дате; возвращает строки
+ * { date, type, payment, before, after, difference } только для изменившихся выплат,
+ * before/after - null, если выплаты не было
+ */
+function comparePaymentSchedules(baseline, planned) {
+    const keyOf = (payment) => `${payment.type}:${dateToKey(payment.date)}`;
+    const rows = new Map();
+
+    for (const payment of baseline) {
+        rows.set(keyOf(payment), { date: payment.date, type: payment.type, payment, before: payment.amount, after: null });
+    }
+    for (const payment of planned) {
+        const key = keyOf(payment);
+        if (rows.has(key)) {
+            rows.get(key).after = payment.amount;
+            rows.get(key).payment = payment;
+        } else {
+            rows.set(key, { date: payment.date, type: payment.type, payment, before: null, after: payment.amount });
+        }
+    }
+
+    return Array.from(rows.values())
+        .map(row => ({ ...row, difference: Math.round((row.after || 0) - (row.before || 0)) }))
+        .filter(row => row.difference !== 0)
+        .sort((a, b) => a.date - b.date);
+}
@@ -0,0 +1,204 @@
+/**
+ * Режим работы сотрудника: пятидневка, свои дни недели или сменный график
+ *
+ * Режим - { type, weekdays, workDays, restDays, anchor, shiftHours, partTime, summarizedHours, accountingPeriodMonths }:
+ * type - 'standard' (пятидневка по производственному календарю) | 'weekdays' | 'rota',
+ * weekdays - рабочие дни недели (1 - понедельник ... 7 - воскресенье) для 'weekdays',
+ * workDays / restDays - смены подряд и дни отдыха в цикле ('2/2', '1/3'), anchor - первый день
+ * рабочей части цикла для 'rota', shiftHours - часы смены (по умолчанию неделя / 5),
+ * partTime - доля ставки (оклад указывается за полную ставку),
+ * summarizedHours - суммированный учет рабочего времени с учетным периодом accountingPeriodMonths.
+ *
+ * При своих днях недели нерабочими остаются праздники, но не переносы выходных:
+ * переносы рассчитаны на пятидневку. Сменный график от календаря не зависит
+ */
+
+const WORK_PATTERN_TYPES = {
+    STANDARD: 'standard',
+    WEEKDAYS: 'weekdays',
+    ROTA: 'rota'
+};
+
+// Учетный период при суммированном учете - месяц, квартал или год (ст. 104 ТК РФ)
+const ACCOUNTING_PERIOD_MONTHS = [1, 3, 12];
+
+const MAX_ROTA_CYCLE_DAYS = 28;
+const MIN_SHIFT_HOURS = 1;
+const MAX_SHIFT_HOURS = 24;
+const MIN_PART_TIME = 0.1;
+
+const WEEKDAY_SHORT_NAMES = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+/**
+ * Цикл сменного графика из текста: "2/2", "1/3", "2 через 2"
+ */
+function parseRotaText(text) {
+    const match = text.trim().toLowerCase().match(/^(\d+)\s*(?:\/|через|на)\s*(\d+)$/);
+    if (!match) {
+        throw new Error('график смен - в виде "2/2": смены подряд и дни отдыха');
+    }
+    return { workDays: parseInt(match[1], 10), restDays: parseInt(match[2], 10) };
+}
+
+/**
+ * Проверка режима работы; возвращает режим в нормализованном виде
+ */
+function validateWorkPattern(pattern) {
+    const type = pattern.type || WORK_PATTERN_TYPES.STANDARD;
+    if (!Object.values(WORK_PATTERN_TYPES).includes(type)) {
+        throw new Error(`неизвестный режим работы: ${type}`);
+    }
+
+    const partTime = pattern.partTime === undefined || pattern.partTime === null ? 1 : pattern.partTime;
+    if (!(partTime >= MIN_PART_TIME && partTime <= 1)) {
+        throw new Error(`доля ставки - от ${MIN_PART_TIME} до 1`);
+    }
+
+    const shiftHours = pattern.shiftHours || null;
+    if (shiftHours !== null && !(shiftHours >= MIN_SHIFT_HOURS && shiftHours <= MAX_SHIFT_HOURS)) {
+        throw new Error(`продолжительность смены - от ${MIN_SHIFT_HOURS} до ${MAX_SHIFT_HOURS} часов`);
+    }
+
+    const accountingPeriodMonths = pattern.accountingPeriodMonths || ACCOUNTING_PERIOD_MONTHS[0];
+    if (!ACCOUNTING_PERIOD_MONTHS.includes(accountingPeriodMonths)) {
+        throw new Error('учетный период - месяц, квартал или год');
+    }
+
+    const result = {
+        type,
+        weekdays: null,
+        workDays: null,
+        restDays: null,
+        anchor: null,
+        shiftHours,
+        partTime,
+        summarizedHours: Boolean(pattern.summarizedHours),
+        accountingPeriodMonths
+    };
+
+    if (type === WORK_PATTERN_TYPES.WEEKDAYS) {
+        const weekdays = Array.from(new Set(pattern.weekdays || [])).sort((a, b) => a - b);
+        if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+            throw new Error('выберите хотя бы один рабочий день недели');
+        }
+        result.weekdays = weekdays;
+    }
+
+    if (type === WORK_PATTERN_TYPES.ROTA) {
+        const { workDays, restDays } = pattern;
+        if (!(Number.isInteger(workDays) && workDays >= 1 && Number.isInteger(restDays) && restDays >= 1)) {
+            throw new Error('в цикле смен нужны хотя бы одна смена и один день отдыха');
+        }
+        if (workDays + restDays > MAX_ROTA_CYCLE_DAYS) {
+            throw new Error(`цикл смен - не длиннее ${MAX_ROTA_CYCLE_DAYS} дней`);
+        }
+        if (!(pattern.anchor instanceof Date) || isNaN(pattern.anchor.getTime())) {
+            throw new Error('укажите дату первой смены цикла');
+        }
+        result.workDays = workDays;
+        result.restDays = restDays;
+        result.anchor = new Date(pattern.anchor.getFullYear(), pattern.anchor.getMonth(), pattern.anchor.getDate());
+    }
+
+    return result;
+}
+
+/**
+ * Обычная пятидневка на полную ставку (отсутствие режима - тоже она)
+ */
+function isStandardWorkPattern(pattern) {
+    return !pattern || (pattern.type === WORK_PATTERN_TYPES.STANDARD && pattern.partTime === 1 && !pattern.summarizedHours);
+}
+
+/**
+ * Доля ставки режима
+ */
+function getPartTimeFraction(pattern) {
+    return pattern ? pattern.partTime : 1;
+}
+
+/**
+ * Режим, по которому считается норма месяца для ставки дня или часа
+ * При суммированном учете норма - по производственному календарю пятидневки,
+ * а смены графика дают отработанные часы
+ */
+function getNormWorkPattern(pattern) {
+    if (!pattern || !pattern.summarizedHours) {
+        return pattern;
+    }
+    return { ...pattern, type: WORK_PATTERN_TYPES.STANDARD, weekdays: null, workDays: null, restDays: null, anchor: null, shiftHours: null };
+}
+
+/**
+ * Смена ли в этот день по циклу сменного графика (цикл продолжается и до даты первой смены)
+ */
+function isRotaShiftDay(pattern, date) {
+    const cycle = pattern.workDays + pattern.restDays;
+    const offset = ((daysBetween(pattern.anchor, date) % cycle) + cycle) % cycle;
+    return offset < pattern.workDays;
+}
+
+/**
+ * Рабочие часы дня по режиму без учета отсутствий
+ * dayInfo - день производственного календаря ({ type, hours }), weeklyHours - недельная норма
+ */
+function getPatternDayHours(date, dayInfo, pattern, weeklyHours) {
+    const normalHours = weeklyHours / 5;
+    const partTime = getPartTimeFraction(pattern);
+    const type = pattern ? pattern.type : WORK_PATTERN_TYPES.STANDARD;
+
+    if (type === WORK_PATTERN_TYPES.ROTA) {
+        return isRotaShiftDay(pattern, date) ? (pattern.shiftHours || normalHours) * partTime : 0;
+    }
+
+    let isWorking = dayInfo.hours > 0;
+    let dailyHours = normalHours;
+    if (type === WORK_PATTERN_TYPES.WEEKDAYS) {
+        isWorking = pattern.weekdays.includes(date.getDay() || 7) && dayInfo.type !== DAY_TYPES.HOLIDAY;
+        dailyHours = pattern.shiftHours || normalHours;
+    }
+    if (!isWorking) {
+        return 0;
+    }
+
+    // Предпраздничный день короче на 1 час (ст. 95 ТК РФ), но смена не сокращается до нуля
+    return (dayInfo.type === DAY_TYPES.SHORT && dailyHours > 1 ? dailyHours - 1 : dailyHours) * partTime;
+}
+
+/**
+ * Учетный период суммированного учета, в который попадает дата: { start, end }
+ * Периоды идут от начала года: месяцы, кварталы или год целиком
+ */
+function getAccountingPeriod(pattern, date) {
+    const months = pattern.accountingPeriodMonths;
+    const firstMonth = Math.floor(date.getMonth() / months) * months;
+    return {
+        start: new Date(date.getFullYear(), firstMonth, 1),
+        end: new Date(date.getFullYear(), firstMonth + months, 0)
+    };
+}
+
+/**
+ * Описание режима для сводки: "Сменный 2/2 по 12 ч, 0,5 ставки"
+ */
+function describeWorkPattern(pattern, weeklyHours) {
+    const parts = [];
+    const hours = (value) => `${String(Math.round(value * 10) / 10).replace('.', ',')} ч`;
+
+    if (pattern.type === WORK_PATTERN_TYPES.ROTA) {
+        parts.push(`Сменный ${pattern.workDays}/${pattern.restDays} по ${hours(pattern.shiftHours || weeklyHours / 5)}`);
+    } else if (pattern.type === WORK_PATTERN_TYPES.WEEKDAYS) {
+        parts.push(`${pattern.weekdays.map(day => WEEKDAY_SHORT_NAMES[day - 1]).join(', ')} по ${hours(pattern.shiftHours || weeklyHours / 5)}`);
+    } else {
+        parts.push('Пятидневка по производственному календарю');
+    }
+    if (pattern.partTime < 1) {
+        parts.push(`${String(pattern.partTime).replace('.', ',')} ставки`);
+    }
+    if (pattern.summarizedHours) {
+        const periodNames = { 1: 'месяц', 3: 'квартал', 12: 'год' };
+        parts.push(`суммированный учет, учетный период - ${periodNames[pattern.accountingPeriodMonths]}`);
+    }
+
+    return parts.join(', ');
+}